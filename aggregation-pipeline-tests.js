@@ -115,8 +115,13 @@ try {
     process.exit(1);
 }
 
-// Initialize converter
-const converter = new MQLToAtlasSearchConverter(config.searchIndex);
+// Initialize converter with the test index definition so operators match the field mappings;
+// $lookup and $unionWith pipelines join the test collection with itself
+const indexDefinition = require('./search-index-definition.js');
+const converter = new MQLToAtlasSearchConverter(config.searchIndex, {
+    indexDefinition,
+    collectionIndexes: { [config.collection]: { indexName: config.searchIndex, indexDefinition } }
+});
 
 // MongoDB Client for Aggregation Testing
 class AggregationMongoDBClient {
@@ -158,12 +163,18 @@ class AggregationMongoDBClient {
         }
     }
 
+    // Documents are compared as a whole: $count and $group results share or lack an _id,
+    // and only their other fields tell them apart
+    toResultKeys(results) {
+        return results.map(doc => JSON.stringify(doc));
+    }
+
     async runOriginalPipeline(pipeline) {
         if (!this.connected) throw new Error('Not connected to MongoDB');
         
         try {
             const results = await this.collection.aggregate(pipeline).toArray();
-            return results.map(doc => doc._id.toString());
+            return this.toResultKeys(results);
         } catch (error) {
             colorLog('red', '❌ Original pipeline failed: ' + error.message);
             throw error;
@@ -175,7 +186,7 @@ class AggregationMongoDBClient {
         
         try {
             const results = await this.collection.aggregate(pipeline).toArray();
-            return results.map(doc => doc._id.toString());
+            return this.toResultKeys(results);
         } catch (error) {
             colorLog('red', '❌ Converted pipeline failed: ' + error.message);
             throw error;
@@ -289,7 +300,7 @@ class AggregationPipelineTestRunner {
                 console.log('Original Results count:', originalResults.length);
                 console.log('Converted Results count:', convertedResults.length);
                 
-                // Show sample IDs for debugging
+                // Show sample documents for debugging
                 if (originalResults.length <= 10 && convertedResults.length <= 10) {
                     console.log('Original Results:', originalResults);
                     console.log('Converted Results:', convertedResults);
@@ -460,6 +471,16 @@ testRunner.test('$match: $regex operator', [
     { $match: { name: { $regex: 'john', $options: 'i' } } }
 ]);
 
+testRunner.test('$match: $elemMatch operator', [
+    { $match: { lineItems: { $elemMatch: { sku: 'A1', qty: { $gte: 5 } } } } }
+]);
+
+testRunner.test('$match: $mod residual before $sort + $limit', [
+    { $match: { testType: 'limit_test', sequenceNumber: { $mod: [3, 0] } } },
+    { $sort: { sequenceNumber: 1 } },
+    { $limit: 4 }
+]);
+
 // =============================================================================
 // PIPELINE OPTIMIZATION TESTS - [$match, $sort, $limit] patterns  
 // =============================================================================
@@ -521,11 +542,100 @@ testRunner.test('Complex pipeline: Multiple $match stages', [
     { $match: { category: 'electronics' } }
 ]);
 
+testRunner.test('Complex pipeline: Leading $match stages merged around $sort', [
+    { $match: { testType: 'sort_test' } },
+    { $sort: { price: -1 } },
+    { $match: { price: { $gte: 100 } } },
+    { $limit: 3 },
+    { $match: { category: 'electronics' } }
+]);
+
+// Only documents with tags survive $unwind, once per tag
+testRunner.test('Complex pipeline: $match hoisted before $addFields and $unwind', [
+    { $addFields: { discounted: { $multiply: ['$price', 0.9] } } },
+    { $unwind: '$tags' },
+    { $match: { testType: { $in: ['implicit_in', 'all_test'] } } },
+    { $sort: { testType: 1 } }
+]);
+
+testRunner.test('Complex pipeline: $match on an added field stays in place', [
+    { $match: { testType: 'sort_test' } },
+    { $addFields: { discounted: { $multiply: ['$price', 0.9] } } },
+    { $match: { discounted: { $gte: 100 } } }
+]);
+
 testRunner.test('Complex pipeline: $match at end', [
     { $group: { _id: '$category', avgPrice: { $avg: '$price' } } },
     { $match: { avgPrice: { $gte: 100 } } }
 ]);
 
+// =============================================================================
+// COUNT TESTS
+// =============================================================================
+
+testRunner.test('Count: $match + $count', [
+    { $match: { testType: 'sort_test', price: { $gte: 100 } } },
+    { $count: 'total' }
+]);
+
+testRunner.test('Count: $count with no matches', [
+    { $match: { testType: 'sort_test', price: { $lt: 0 } } },
+    { $count: 'total' }
+]);
+
+testRunner.test('Count: countDocuments-style $group', [
+    { $match: { testType: 'sort_test' } },
+    { $group: { _id: 1, n: { $sum: 1 } } }
+]);
+
+testRunner.test('Count: lowerBound count type', [
+    { $match: { testType: 'limit_test' } },
+    { $count: 'n' }
+], { countType: 'lowerBound' });
+
+// =============================================================================
+// SUB-PIPELINE TESTS
+// =============================================================================
+
+testRunner.test('Sub-pipeline: $lookup pipeline with let variables', [
+    { $match: { testType: 'sort_test', category: 'electronics' } },
+    { $lookup: {
+        from: config.collection,
+        let: { category: '$category' },
+        pipeline: [
+            { $match: { testType: 'sort_test', $expr: { $eq: ['$category', '$$category'] } } },
+            { $project: { _id: 1 } }
+        ],
+        as: 'sameCategory'
+    } },
+    { $match: { 'sameCategory.1': { $exists: true } } }
+]);
+
+testRunner.test('Sub-pipeline: $unionWith pipeline', [
+    { $match: { testType: 'sort_test', price: { $gte: 100 } } },
+    { $unionWith: { coll: config.collection, pipeline: [{ $match: { testType: 'limit_test' } }] } }
+]);
+
+testRunner.test('Sub-pipeline: $facet branches keep $match', [
+    { $match: { testType: 'sort_test' } },
+    { $facet: {
+        expensive: [{ $match: { price: { $gte: 100 } } }],
+        cheap: [{ $match: { price: { $lt: 100 } } }]
+    } },
+    { $project: { ids: { $concatArrays: ['$expensive', '$cheap'] } } },
+    { $unwind: '$ids' },
+    { $replaceRoot: { newRoot: '$ids' } }
+]);
+
+testRunner.test('$match: $expr field-to-constant comparison', [
+    { $match: { testType: 'sort_test', $expr: { $gt: ['$price', 100] } } },
+    { $sort: { price: 1 } }
+]);
+
+testRunner.test('$match: $expr field-to-field comparison (residual $match)', [
+    { $match: { testType: 'sort_test', $expr: { $gt: ['$score', '$views'] } } }
+]);
+
 // =============================================================================
 // SORT AND LIMIT SPECIFIC TESTS - Using Enhanced Test Data
 // =============================================================================
@@ -620,6 +730,12 @@ testRunner.test('Sort conversion: _id field', [
 // OPTIONS TESTING
 // =============================================================================
 
+testRunner.test('Options: split = true', [
+    { $match: { tags: ['mongodb', 'atlas'], status: { $ne: 'deleted' } } },
+    { $sort: { publishDate: -1 } },
+    { $limit: 5 }
+], { split: true });
+
 testRunner.test('Options: includeProjection = true', [
     { $match: { status: 'active' } },
     { $project: { name: 1, email: 1 } },
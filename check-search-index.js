@@ -17,10 +17,15 @@
  * ❌ Modify search indexes
  * ❌ Delete search indexes
  * 
- * Usage: MONGODB_CONNECTION_STRING="..." node check-search-index.js
+ * With a query file (a .js or .json file exporting an array of find filters and
+ * pipelines, see sample-queries.js) it also converts every query and checks each
+ * generated clause against the index mappings, so mapping gaps show up before deploying.
+ * 
+ * Usage: MONGODB_CONNECTION_STRING="..." node check-search-index.js [query-file]
  */
 
 const fs = require('fs');
+const path = require('path');
 
 // Load configuration
 const config = require('./mongodb-config.js');
@@ -43,6 +48,11 @@ function colorLog(color, message) {
 console.log('🔍 Atlas Search Index Status Checker');
 console.log('='.repeat(45));
 
+const queryFile = process.argv[2];
+
+// Mappings of our index as reported by Atlas, used to validate the query file
+let listedIndexDefinition = null;
+
 // Load MongoDB driver
 let MongoClient;
 try {
@@ -110,6 +120,7 @@ async function checkSearchIndexes() {
                 // Test if our specific index exists and is ready
                 const ourIndex = searchIndexes.find(idx => idx.name === config.searchIndex);
                 if (ourIndex) {
+                    listedIndexDefinition = ourIndex.latestDefinition || null;
                     if (ourIndex.status === 'READY') {
                         colorLog('green', `✅ Index '${config.searchIndex}' is ready for testing!`);
                     } else {
@@ -270,8 +281,64 @@ console.log(`   Database: ${config.database}`);
 console.log(`   Collection: ${config.collection}`);
 console.log(`   Expected Search Index: ${config.searchIndex}`);
 
+// Validate the clauses generated for the query file against the index mappings
+function validateQueryFile() {
+    console.log();
+    colorLog('blue', `🧾 Validating queries from ${queryFile} against the index mappings...`);
+
+    let queries;
+    try {
+        queries = require(path.resolve(queryFile));
+    } catch (error) {
+        colorLog('red', `❌ Could not load ${queryFile}: ${error.message}`);
+        return false;
+    }
+
+    if (!Array.isArray(queries)) {
+        colorLog('red', `❌ ${queryFile} must export an array of find filters and pipelines`);
+        return false;
+    }
+
+    let indexDefinition = listedIndexDefinition;
+    if (indexDefinition) {
+        console.log(`   Mappings: index '${config.searchIndex}' as reported by Atlas`);
+    } else {
+        indexDefinition = require('./search-index-definition.js');
+        colorLog('yellow', '   ⚠️  Index mappings not available from Atlas; using search-index-definition.js');
+    }
+
+    const MQLToAtlasSearchConverter = require('./mql-to-atlas-search.js');
+    const converter = new MQLToAtlasSearchConverter(config.searchIndex);
+    const results = converter.validateQueries(queries, indexDefinition);
+
+    const icons = { ok: '✅', warning: '⚠️ ', error: '❌' };
+    queries.forEach((query, index) => {
+        console.log(`\n   ${index + 1}. ${JSON.stringify(query)}`);
+        results.filter(result => result.query === index).forEach(result => {
+            const operator = result.operator ? `${result.operator} ${result.path}: ` : '';
+            console.log(`      ${icons[result.status]} ${operator}${result.message}`);
+        });
+    });
+
+    const errors = results.filter(result => result.status === 'error').length;
+    const warnings = results.filter(result => result.status === 'warning').length;
+    console.log();
+    if (errors > 0) {
+        colorLog('red', `❌ ${errors} clause(s) target paths that are not mapped for their operator`);
+    } else if (warnings > 0) {
+        colorLog('yellow', `⚠️  All clauses are mapped; ${warnings} depend on dynamic mappings`);
+    } else {
+        colorLog('green', '✅ Every generated clause targets a compatible mapping');
+    }
+    return errors === 0;
+}
+
 // Run the check
-checkSearchIndexes().catch(error => {
+checkSearchIndexes().then(() => {
+    if (queryFile && !validateQueryFile()) {
+        process.exitCode = 1;
+    }
+}).catch(error => {
     colorLog('red', '❌ Script failed: ' + error.message);
     process.exit(1);
 });
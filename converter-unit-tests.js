@@ -0,0 +1,947 @@
+#!/usr/bin/env node
+
+/**
+ * Offline Unit Tests for MQL to Atlas Search Converter
+ * Checks the generated stages and errors directly, without a MongoDB connection,
+ * for behavior that doesn't need a live index to verify
+ *
+ * Usage: node converter-unit-tests.js
+ */
+
+const assert = require('assert');
+
+const MQLToAtlasSearchConverter = require('./mql-to-atlas-search.js');
+const { InvalidQueryError, UnsupportedOperatorError, IndexMappingError } = MQLToAtlasSearchConverter;
+
+// Colors for console output
+const colors = {
+    reset: '\x1b[0m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    cyan: '\x1b[36m',
+    magenta: '\x1b[35m'
+};
+
+function colorLog(color, message) {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+class UnitTestRunner {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    }
+
+    run() {
+        colorLog('blue', `🧪 Running ${this.tests.length} converter unit tests...`);
+        console.log();
+
+        for (const { name, fn } of this.tests) {
+            try {
+                fn();
+                colorLog('green', `✅ ${name}`);
+                this.passed++;
+            } catch (error) {
+                colorLog('red', `❌ ${name}`);
+                console.log(`   ${error.message.split('\n').join('\n   ')}`);
+                this.failed++;
+            }
+        }
+
+        console.log();
+        console.log('='.repeat(60));
+        colorLog('cyan', '📊 Unit Test Results:');
+        colorLog('green', `✅ Passed: ${this.passed}`);
+        colorLog('red', `❌ Failed: ${this.failed}`);
+
+        if (this.failed > 0) {
+            process.exitCode = 1;
+        } else {
+            console.log();
+            colorLog('green', '🎉 All unit tests passed!');
+        }
+    }
+}
+
+const converter = new MQLToAtlasSearchConverter('test_index');
+const testRunner = new UnitTestRunner();
+
+// $search operator (without the index name) generated for a find filter
+function searchOperator(query, options = {}) {
+    const { index, ...operator } = converter.convertQueryToSearch(query, options).$search;
+    return operator;
+}
+
+// Assert that converting the query throws the given error class, code and input path
+function assertConversionError(query, errorClass, code, path) {
+    assert.throws(() => converter.convertQueryToSearch(query), error => {
+        assert.ok(error instanceof errorClass, `expected ${errorClass.name}, got ${error.name}: ${error.message}`);
+        assert.strictEqual(error.code, code);
+        assert.strictEqual(error.path, path);
+        return true;
+    });
+}
+
+const matchAll = { exists: { path: '_id' } };
+const equals = (path, value) => ({ equals: { path, value } });
+
+console.log('🔬 Converter Unit Tests (offline)');
+console.log('='.repeat(60));
+console.log();
+
+// =============================================================================
+// LOGICAL OPERATORS - EMPTY, DEGENERATE AND INVALID ARGUMENTS
+// =============================================================================
+
+testRunner.test('Empty $and is rejected like MQL', () => {
+    assertConversionError({ $and: [] }, InvalidQueryError, 'INVALID_ARGUMENT', '$.$and');
+});
+
+testRunner.test('Empty $or is rejected like MQL', () => {
+    assertConversionError({ $or: [] }, InvalidQueryError, 'INVALID_ARGUMENT', '$.$or');
+});
+
+testRunner.test('Empty $nor is rejected like MQL', () => {
+    assertConversionError({ $nor: [] }, InvalidQueryError, 'INVALID_ARGUMENT', '$.$nor');
+});
+
+testRunner.test('Non-array $and, $or and $nor are rejected', () => {
+    assertConversionError({ $and: { a: 1 } }, InvalidQueryError, 'INVALID_ARGUMENT', '$.$and');
+    assertConversionError({ $or: 'a' }, InvalidQueryError, 'INVALID_ARGUMENT', '$.$or');
+    assertConversionError({ $nor: null }, InvalidQueryError, 'INVALID_ARGUMENT', '$.$nor');
+});
+
+testRunner.test('Non-object entries are rejected at their index', () => {
+    assertConversionError({ $or: [{ a: 1 }, 2] }, InvalidQueryError, 'INVALID_ARGUMENT', '$.$or[1]');
+    assertConversionError({ $and: [[{ a: 1 }]] }, InvalidQueryError, 'INVALID_ARGUMENT', '$.$and[0]');
+    assertConversionError({ $nor: [null] }, InvalidQueryError, 'INVALID_ARGUMENT', '$.$nor[0]');
+});
+
+testRunner.test('Invalid arguments nested in other operators are rejected', () => {
+    assertConversionError({ $and: [{ $or: [] }] }, InvalidQueryError, 'INVALID_ARGUMENT', '$.$and[0].$or');
+    assertConversionError({ items: { $elemMatch: { $or: [] } } }, InvalidQueryError, 'INVALID_ARGUMENT', '$.items.$elemMatch.$or');
+});
+
+testRunner.test('Single-element $and converts to its only subquery', () => {
+    assert.deepStrictEqual(searchOperator({ $and: [{ status: 'active' }] }), equals('status', 'active'));
+});
+
+testRunner.test('Single-element $or converts to its only subquery', () => {
+    assert.deepStrictEqual(searchOperator({ $or: [{ status: 'active' }] }), equals('status', 'active'));
+});
+
+testRunner.test('Single-element $or keeps a multi-field subquery as a conjunction', () => {
+    assert.deepStrictEqual(searchOperator({ $or: [{ status: 'active', age: 30 }] }), {
+        compound: { filter: [equals('status', 'active'), equals('age', 30)] }
+    });
+});
+
+testRunner.test('Single-element $or residual stays a top-level conjunct in split mode', () => {
+    const pipeline = converter.convertFindQuery({ $or: [{ status: 'active', qty: { $mod: [2, 0] } }] }, { split: true });
+    assert.deepStrictEqual(pipeline, [
+        { $search: { index: 'test_index', ...equals('status', 'active') } },
+        { $match: { qty: { $mod: [2, 0] } } }
+    ]);
+});
+
+testRunner.test('Single-element $nor negates its only subquery', () => {
+    assert.deepStrictEqual(searchOperator({ $nor: [{ status: 'deleted' }] }), {
+        compound: { filter: [matchAll], mustNot: [equals('status', 'deleted')] }
+    });
+});
+
+testRunner.test('$or alternatives with several fields stay conjunctions', () => {
+    assert.deepStrictEqual(searchOperator({ $or: [{ status: 'active', age: 30 }, { category: 'tech' }] }), {
+        compound: {
+            should: [
+                { compound: { filter: [equals('status', 'active'), equals('age', 30)] } },
+                equals('category', 'tech')
+            ],
+            minimumShouldMatch: 1
+        }
+    });
+});
+
+testRunner.test('$nor excludes each subquery as a whole', () => {
+    assert.deepStrictEqual(searchOperator({ $nor: [{ status: 'active', age: 30 }, { category: 'tech' }] }), {
+        compound: {
+            filter: [matchAll],
+            mustNot: [
+                { compound: { filter: [equals('status', 'active'), equals('age', 30)] } },
+                equals('category', 'tech')
+            ]
+        }
+    });
+});
+
+testRunner.test('Empty subquery inside $or matches every document', () => {
+    assert.deepStrictEqual(searchOperator({ $or: [{ status: 'active' }, {}] }), {
+        compound: { should: [equals('status', 'active'), matchAll], minimumShouldMatch: 1 }
+    });
+});
+
+// =============================================================================
+// $not
+// =============================================================================
+
+testRunner.test('Top-level $not is rejected', () => {
+    assertConversionError({ $not: { status: 'active' } }, InvalidQueryError, 'TOP_LEVEL_NOT', '$.$not');
+});
+
+testRunner.test('$not needs a regex or a document of operators', () => {
+    assertConversionError({ age: { $not: 5 } }, InvalidQueryError, 'INVALID_ARGUMENT', '$.age.$not');
+    assertConversionError({ age: { $not: {} } }, InvalidQueryError, 'INVALID_ARGUMENT', '$.age.$not');
+    assertConversionError({ age: { $not: [5] } }, InvalidQueryError, 'INVALID_ARGUMENT', '$.age.$not');
+    assertConversionError({ age: { $not: { value: 5 } } }, InvalidQueryError, 'INVALID_ARGUMENT', '$.age.$not');
+});
+
+testRunner.test('$not negates all of its operators together', () => {
+    assert.deepStrictEqual(searchOperator({ age: { $not: { $gte: 18, $in: [30, 40] } } }), {
+        compound: {
+            filter: [matchAll],
+            mustNot: [{ compound: { filter: [{ range: { path: 'age', gte: 18 } }, { in: { path: 'age', value: [30, 40] } }] } }]
+        }
+    });
+});
+
+// =============================================================================
+// $elemMatch ON EMBEDDED DOCUMENTS
+// =============================================================================
+
+testRunner.test('Negations inside embeddedDocument are anchored on the embedded path', () => {
+    const embeddedConverter = new MQLToAtlasSearchConverter('test_index', { embeddedDocumentPaths: ['items'] });
+    const elemMatch = condition => {
+        const { index, ...operator } = embeddedConverter.convertQueryToSearch({ items: { $elemMatch: condition } }).$search;
+        return operator;
+    };
+    const embedded = operator => ({ embeddedDocument: { path: 'items', operator } });
+    const itemsAnchor = { exists: { path: 'items' } };
+
+    assert.deepStrictEqual(elemMatch({ qty: { $ne: 5 } }), embedded({
+        compound: { filter: [itemsAnchor], mustNot: [equals('items.qty', 5)] }
+    }));
+    assert.deepStrictEqual(elemMatch({ qty: { $nin: [1, 2] } }), embedded({
+        compound: { filter: [itemsAnchor], mustNot: [{ in: { path: 'items.qty', value: [1, 2] } }] }
+    }));
+    assert.deepStrictEqual(elemMatch({ qty: null, sku: 'a' }), embedded({
+        compound: {
+            filter: [
+                {
+                    compound: {
+                        should: [
+                            equals('items.qty', null),
+                            { compound: { filter: [itemsAnchor], mustNot: [{ exists: { path: 'items.qty' } }] } }
+                        ],
+                        minimumShouldMatch: 1
+                    }
+                },
+                equals('items.sku', 'a')
+            ]
+        }
+    }));
+
+    // Outside the embedded operator the anchor stays on _id
+    assert.deepStrictEqual(searchOperator({ qty: { $ne: 5 } }), {
+        compound: { filter: [matchAll], mustNot: [equals('qty', 5)] }
+    });
+});
+
+// =============================================================================
+// $all
+// =============================================================================
+
+testRunner.test('$all elements share the conversion context', () => {
+    const stringConverter = new MQLToAtlasSearchConverter('test_index', {
+        indexDefinition: { mappings: { dynamic: false, fields: { tags: { type: 'string' } } } }
+    });
+    const { result, report } = stringConverter.convertFindQuery({ tags: { $all: ['a', 'b'] } }, { split: true, report: true });
+    assert.deepStrictEqual(result[1], { $match: { $and: [{ tags: { $eq: 'a' } }, { tags: { $eq: 'b' } }] } });
+    assert.deepStrictEqual(report.warnings.map(warning => warning.path), ['$.tags.$all[0]', '$.tags.$all[1]']);
+
+    assert.throws(() => stringConverter.convertFindQuery({ tags: { $all: ['a'] } }, { strict: true }),
+        error => error.code === 'ANALYZED_STRING_MATCH' && error.path === '$.tags.$all[0]');
+});
+
+testRunner.test('$all RegExp elements become regex clauses', () => {
+    assert.deepStrictEqual(searchOperator({ tags: { $all: [/^mon/, 'db'] } }), {
+        compound: { filter: [{ regex: { query: 'mon.*', path: 'tags' } }, equals('tags', 'db')] }
+    });
+});
+
+// =============================================================================
+// SIMPLIFIED OUTPUT
+// =============================================================================
+
+testRunner.test('Range bounds are only merged on scalarPaths', () => {
+    const query = { readings: { $gte: 80, $lt: 85 }, age: { $gte: 18 }, $and: [{ age: { $lt: 65 } }] };
+    assert.deepStrictEqual(searchOperator(query), {
+        compound: {
+            filter: [
+                { range: { path: 'readings', gte: 80 } },
+                { range: { path: 'readings', lt: 85 } },
+                { range: { path: 'age', gte: 18 } },
+                { range: { path: 'age', lt: 65 } }
+            ]
+        }
+    });
+
+    const scalarConverter = new MQLToAtlasSearchConverter('test_index', { scalarPaths: ['age'] });
+    assert.deepStrictEqual(scalarConverter.convertQueryToSearch(query).$search.compound.filter, [
+        { range: { path: 'readings', gte: 80 } },
+        { range: { path: 'readings', lt: 85 } },
+        { range: { path: 'age', gte: 18, lt: 65 } }
+    ]);
+});
+
+testRunner.test('Compounds left without clauses become the match-all anchor', () => {
+    assert.deepStrictEqual(converter.convertFindQuery({ $and: [{ a: { $mod: [2, 0] } }] }), [
+        { $search: { index: 'test_index', ...matchAll } },
+        { $match: { a: { $mod: [2, 0] } } }
+    ]);
+    assert.deepStrictEqual(searchOperator({ $and: [{ a: { $mod: [2, 0] } }, { b: 1 }] }), equals('b', 1));
+});
+
+// =============================================================================
+// $type
+// =============================================================================
+
+testRunner.test('$type lists keep the exact types next to the narrowed numeric ones', () => {
+    const { result, report } = converter.convertQueryToSearch({ measure: { $type: ['null', 'int'] } }, { split: true, report: true });
+    assert.deepStrictEqual(result.$search.compound.should, [
+        equals('measure', null),
+        { range: { path: 'measure', gte: 0 } },
+        { range: { path: 'measure', lt: 0 } }
+    ]);
+    assert.deepStrictEqual(report.residual, [{ measure: { $type: ['null', 'int'] } }]);
+
+    // A type without a clause can't be narrowed
+    assert.deepStrictEqual(searchOperator({ measure: { $type: ['string', 'int'] } }, { split: true }), matchAll);
+});
+
+// =============================================================================
+// $expr
+// =============================================================================
+
+testRunner.test('$expr field-to-constant comparisons become range and equals', () => {
+    assert.deepStrictEqual(searchOperator({ $expr: { $gt: ['$price', 100] } }), { range: { path: 'price', gt: 100 } });
+    assert.deepStrictEqual(searchOperator({ $expr: { $eq: ['$status', 'active'] } }), equals('status', 'active'));
+});
+
+testRunner.test('$expr with the constant first flips the comparison', () => {
+    assert.deepStrictEqual(searchOperator({ $expr: { $lte: [100, '$price'] } }), { range: { path: 'price', gte: 100 } });
+});
+
+testRunner.test('$expr $lt also matches null and missing fields', () => {
+    assert.deepStrictEqual(searchOperator({ $expr: { $lt: ['$price', 100] } }), {
+        compound: {
+            should: [
+                { range: { path: 'price', lt: 100 } },
+                equals('price', null),
+                { compound: { filter: [matchAll], mustNot: [{ exists: { path: 'price' } }] } }
+            ],
+            minimumShouldMatch: 1
+        }
+    });
+});
+
+testRunner.test('$expr $in and $eq with null match null values only', () => {
+    assert.deepStrictEqual(searchOperator({ $expr: { $in: ['$status', ['active', null]] } }), {
+        compound: { should: [{ in: { path: 'status', value: ['active'] } }, equals('status', null)], minimumShouldMatch: 1 }
+    });
+    assert.deepStrictEqual(searchOperator({ $expr: { $eq: ['$status', null] } }), equals('status', null));
+});
+
+testRunner.test('$expr $ne, $not and $literal', () => {
+    assert.deepStrictEqual(searchOperator({ $expr: { $not: [{ $eq: ['$code', { $literal: '$1' }] }] } }), {
+        compound: { filter: [matchAll], mustNot: [equals('code', '$1')] }
+    });
+    assert.deepStrictEqual(searchOperator({ $expr: { $ne: ['$status', 'deleted'] } }), {
+        compound: { filter: [matchAll], mustNot: [equals('status', 'deleted')] }
+    });
+});
+
+testRunner.test('$expr field-to-field comparison goes to the residual $match', () => {
+    const expr = { $gt: ['$price', '$cost'] };
+    assert.deepStrictEqual(converter.convertFindQuery({ status: 'active', $expr: expr }), [
+        { $search: { index: 'test_index', ...equals('status', 'active') } },
+        { $match: { $expr: expr } }
+    ]);
+});
+
+testRunner.test('$expr $and keeps convertible members in $search', () => {
+    assert.deepStrictEqual(converter.convertFindQuery({ $expr: { $and: [{ $gte: ['$price', 10] }, { $eq: ['$total', { $multiply: ['$price', '$qty'] }] }] } }), [
+        { $search: { index: 'test_index', range: { path: 'price', gte: 10 } } },
+        { $match: { $expr: { $eq: ['$total', { $multiply: ['$price', '$qty'] }] } } }
+    ]);
+});
+
+testRunner.test('$expr $or with a computed member goes to the residual $match as a whole', () => {
+    const expr = { $or: [{ $gt: ['$price', 100] }, { $lt: [{ $add: ['$price', '$tax'] }, 10] }] };
+    assert.deepStrictEqual(converter.convertFindQuery({ $expr: expr }), [
+        { $search: { index: 'test_index', ...matchAll } },
+        { $match: { $expr: expr } }
+    ]);
+});
+
+// =============================================================================
+// $text
+// =============================================================================
+
+const textConverter = new MQLToAtlasSearchConverter('test_index', { textPaths: ['title', 'content'] });
+const textPaths = ['title', 'content'];
+
+testRunner.test('$text search string is split into terms, negations and phrases', () => {
+    assert.deepStrictEqual(textConverter.parseTextSearch('foo -bar "exact phrase" -"not this" "open'), {
+        terms: ['foo'],
+        negatedTerms: ['bar'],
+        phrases: ['exact phrase', 'open'],
+        negatedPhrases: ['not this']
+    });
+});
+
+testRunner.test('$text terms become one text clause on the text paths', () => {
+    assert.deepStrictEqual(textConverter.convertQueryToSearch({ $text: { $search: 'coffee shop' } }).$search, {
+        index: 'test_index',
+        text: { query: 'coffee shop', path: textPaths }
+    });
+});
+
+testRunner.test('$text phrases are required and terms only score', () => {
+    assert.deepStrictEqual(textConverter.convertQueryToSearch({ $text: { $search: 'coffee -decaf "cold brew"' } }).$search, {
+        index: 'test_index',
+        compound: {
+            must: [{ phrase: { query: 'cold brew', path: textPaths } }],
+            should: [{ text: { query: 'coffee', path: textPaths } }],
+            mustNot: [{ text: { query: 'decaf', path: textPaths } }]
+        }
+    });
+});
+
+testRunner.test('$text with only negated terms matches nothing', () => {
+    assert.deepStrictEqual(searchOperator({ $text: { $search: '-decaf' } }), {
+        compound: { filter: [matchAll], mustNot: [matchAll] }
+    });
+});
+
+testRunner.test('$text clauses keep scoring next to filters', () => {
+    assert.deepStrictEqual(searchOperator({ $text: { $search: 'coffee' }, status: 'open' }), {
+        compound: {
+            must: [{ text: { query: 'coffee', path: { wildcard: '*' } } }],
+            filter: [equals('status', 'open')]
+        }
+    });
+});
+
+testRunner.test('$text without a $search string is rejected', () => {
+    assertConversionError({ $text: 'coffee' }, InvalidQueryError, 'INVALID_ARGUMENT', '$.$text');
+});
+
+testRunner.test('textScore projections and sorts use searchScore', () => {
+    const pipeline = textConverter.convertFindQuery({ $text: { $search: 'coffee' } }, {
+        projection: { title: 1, score: { $meta: 'textScore' } },
+        sort: { score: { $meta: 'textScore' } }
+    });
+    assert.deepStrictEqual(pipeline, [
+        { $search: { index: 'test_index', text: { query: 'coffee', path: textPaths }, sort: { score: { $meta: 'searchScore' } } } },
+        { $project: { title: 1, score: { $meta: 'searchScore' } } }
+    ]);
+    assert.deepStrictEqual(textConverter.convertAggregationPipeline([
+        { $match: { $text: { $search: 'coffee' } } },
+        { $addFields: { score: { $meta: 'textScore' } } }
+    ]), [
+        { $search: { index: 'test_index', text: { query: 'coffee', path: textPaths } } },
+        { $addFields: { score: { $meta: 'searchScore' } } }
+    ]);
+});
+
+// =============================================================================
+// GEO OPERATORS
+// =============================================================================
+
+const point = coordinates => ({ type: 'Point', coordinates });
+
+testRunner.test('$geoWithin legacy shapes become geoWithin box, polygon and circle', () => {
+    assert.deepStrictEqual(searchOperator({ loc: { $geoWithin: { $box: [[0, 0], [10, 10]] } } }), {
+        geoWithin: { path: 'loc', box: { bottomLeft: point([0, 0]), topRight: point([10, 10]) } }
+    });
+    // The polygon ring is closed
+    assert.deepStrictEqual(searchOperator({ loc: { $geoWithin: { $polygon: [[0, 0], [3, 6], [6, 0]] } } }), {
+        geoWithin: { path: 'loc', geometry: { type: 'Polygon', coordinates: [[[0, 0], [3, 6], [6, 0], [0, 0]]] } }
+    });
+    assert.deepStrictEqual(searchOperator({ loc: { $geoWithin: { $centerSphere: [[1, 2], 0.001] } } }), {
+        geoWithin: { path: 'loc', circle: { center: point([1, 2]), radius: 6378.1 } }
+    });
+});
+
+testRunner.test('$geoWithin $geometry and $geoIntersects keep the GeoJSON geometry', () => {
+    const polygon = { type: 'Polygon', coordinates: [[[0, 0], [3, 6], [6, 0], [0, 0]]] };
+    assert.deepStrictEqual(searchOperator({ loc: { $geoWithin: { $geometry: polygon } } }), {
+        geoWithin: { path: 'loc', geometry: polygon }
+    });
+    assert.deepStrictEqual(searchOperator({ loc: { $geoIntersects: { $geometry: point([1, 2]) } } }), {
+        geoShape: { path: 'loc', relation: 'intersects', geometry: point([1, 2]) }
+    });
+});
+
+testRunner.test('$near scores by distance and filters on $maxDistance and $minDistance', () => {
+    const circle = radius => ({ geoWithin: { path: 'loc', circle: { center: point([1, 2]), radius } } });
+    assert.deepStrictEqual(searchOperator({ loc: { $near: { $geometry: point([1, 2]), $maxDistance: 500, $minDistance: 10 } }, status: 'open' }), {
+        compound: {
+            must: [{ near: { path: 'loc', origin: point([1, 2]), pivot: 500 } }],
+            filter: [circle(500), equals('status', 'open')],
+            mustNot: [circle(10)]
+        }
+    });
+    // Legacy $nearSphere distances are in radians
+    assert.deepStrictEqual(searchOperator({ loc: { $nearSphere: [1, 2], $maxDistance: 0.001 } }), {
+        compound: {
+            must: [{ near: { path: 'loc', origin: point([1, 2]), pivot: 6378.1 } }],
+            filter: [circle(6378.1)]
+        }
+    });
+});
+
+testRunner.test('Invalid and flat geo queries are rejected', () => {
+    assertConversionError({ loc: { $near: [1, 2] } }, UnsupportedOperatorError, 'UNSUPPORTED_OPERATOR', '$.loc.$near');
+    assertConversionError({ loc: { $maxDistance: 5 } }, InvalidQueryError, 'INVALID_ARGUMENT', '$.loc.$maxDistance');
+    assertConversionError({ loc: { $geoWithin: { $box: [[0, 0]] } } }, InvalidQueryError, 'INVALID_ARGUMENT', '$.loc.$geoWithin.$box');
+    assertConversionError({ loc: { $geoIntersects: { $geometry: { type: 'Circle' } } } }, InvalidQueryError, 'INVALID_ARGUMENT', '$.loc.$geoIntersects.$geometry');
+});
+
+testRunner.test('Geo operators need a geo mapping, with indexShapes for geoShape', () => {
+    const geoConverter = new MQLToAtlasSearchConverter('test_index', {
+        indexDefinition: { mappings: { dynamic: true, fields: { loc: { type: 'geo' } } } }
+    });
+    assert.ok(geoConverter.convertQueryToSearch({ loc: { $geoWithin: { $box: [[0, 0], [1, 1]] } } }).$search.geoWithin);
+    assert.throws(() => geoConverter.convertQueryToSearch({ loc: { $geoIntersects: { $geometry: point([1, 2]) } } }), IndexMappingError);
+    assert.throws(() => geoConverter.convertQueryToSearch({ other: { $geoWithin: { $box: [[0, 0], [1, 1]] } } }), IndexMappingError);
+
+    assert.deepStrictEqual(converter.generateIndexDefinition([
+        { area: { $geoIntersects: { $geometry: point([1, 2]) } } },
+        { loc: { $near: { $geometry: point([1, 2]) } } }
+    ]).definition.mappings.fields, {
+        area: { type: 'geo', indexShapes: true },
+        loc: { type: 'geo' }
+    });
+});
+
+// =============================================================================
+// AGGREGATION PIPELINES
+// =============================================================================
+
+const search = operator => ({ $search: { index: 'test_index', ...operator } });
+
+testRunner.test('Leading $match stages and a $sort between them become one $search', () => {
+    assert.deepStrictEqual(converter.convertAggregationPipeline([
+        { $match: { status: 'open' } },
+        { $sort: { price: -1 } },
+        { $match: { price: { $gte: 100 } } },
+        { $limit: 3 }
+    ]), [
+        search({
+            compound: { filter: [equals('status', 'open'), { range: { path: 'price', gte: 100 } }] },
+            sort: { price: { order: -1 } }
+        }),
+        { $limit: 3 }
+    ]);
+});
+
+testRunner.test('$match stages after a reshaping stage stay $match', () => {
+    assert.deepStrictEqual(converter.convertAggregationPipeline([
+        { $match: { status: 'open' } },
+        { $group: { _id: '$category', count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } },
+        { $sort: { count: -1 } }
+    ]), [
+        search(equals('status', 'open')),
+        { $group: { _id: '$category', count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } },
+        { $sort: { count: -1 } }
+    ]);
+});
+
+testRunner.test('Pipelines that don\'t start with $match are left unchanged', () => {
+    const pipeline = [{ $limit: 10 }, { $match: { status: 'open' } }];
+    assert.deepStrictEqual(converter.convertAggregationPipeline(pipeline), pipeline);
+});
+
+testRunner.test('Stages after the leading $match keep their order', () => {
+    assert.deepStrictEqual(converter.convertAggregationPipeline([
+        { $match: { status: 'open' } },
+        { $skip: 5 },
+        { $limit: 10 },
+        { $sort: { price: 1 } }
+    ]), [
+        search(equals('status', 'open')),
+        { $skip: 5 },
+        { $limit: 10 },
+        { $sort: { price: 1 } }
+    ]);
+});
+
+testRunner.test('Merged $match stages keep their residual predicates and error paths', () => {
+    const { result, report } = converter.convertAggregationPipeline([
+        { $match: { status: 'open' } },
+        { $match: { qty: { $mod: [2, 0] } } },
+        { $project: { status: 1 } }
+    ], { report: true });
+    assert.deepStrictEqual(result, [
+        search(equals('status', 'open')),
+        { $match: { qty: { $mod: [2, 0] } } },
+        { $project: { status: 1 } }
+    ]);
+    assert.deepStrictEqual(report.residual, [{ qty: { $mod: [2, 0] } }]);
+    assert.throws(() => converter.convertAggregationPipeline([{ $match: { status: 'open' } }, { $match: { $bad: 1 } }]),
+        error => error.path === '$[1].$match.$bad');
+});
+
+// =============================================================================
+// PIPELINE REORDERING
+// =============================================================================
+
+testRunner.test('$match and $sort move before stages that don\'t change their fields', () => {
+    const addFields = { $addFields: { total: { $multiply: ['$price', '$qty'] } } };
+    const unwind = { $unwind: { path: '$tags', includeArrayIndex: 'tagIndex' } };
+    assert.deepStrictEqual(converter.convertAggregationPipeline([
+        addFields,
+        unwind,
+        { $match: { status: 'open', $expr: { $gt: ['$price', 10] } } },
+        { $sort: { price: 1 } },
+        { $limit: 5 }
+    ]), [
+        search({
+            compound: { filter: [equals('status', 'open'), { range: { path: 'price', gt: 10 } }] },
+            sort: { price: { order: 1 } }
+        }),
+        addFields,
+        unwind,
+        { $limit: 5 }
+    ]);
+});
+
+testRunner.test('$match on a changed field stays in place and is reported', () => {
+    const pipeline = [
+        { $set: { total: { $multiply: ['$price', '$qty'] } } },
+        { $unwind: '$tags' },
+        { $match: { total: { $gt: 100 } } },
+        { $match: { tags: 'mongodb' } },
+        { $match: { status: 'open' } }
+    ];
+    const { result, report } = converter.convertAggregationPipeline(pipeline, { report: true });
+    assert.deepStrictEqual(result, [search(equals('status', 'open')), ...pipeline.slice(0, 4)]);
+    assert.deepStrictEqual(report.warnings.map(({ code, path, message }) => ({ code, path, message })), [
+        { code: 'MATCH_NOT_HOISTED', path: '$[2].$match', message: "$match at $[2] is left in place: $[0] $set changes 'total'" },
+        { code: 'MATCH_NOT_HOISTED', path: '$[3].$match', message: "$match at $[3] is left in place: $[1] $unwind changes 'tags'" }
+    ]);
+    assert.strictEqual(report.fidelity, 'exact');
+});
+
+testRunner.test('Inclusion $project only lets $match on kept fields through', () => {
+    const project = { $project: { name: 1, 'address.city': 1, price: '$cost' } };
+    const { result, report } = converter.convertAggregationPipeline([
+        project,
+        { $match: { 'address.city': 'Paris', _id: 'a1' } },
+        { $match: { address: { city: 'Paris' } } },
+        { $match: { price: 10 } }
+    ], { report: true });
+    assert.deepStrictEqual(result[0], search({
+        compound: { filter: [equals('address.city', 'Paris'), equals('_id', 'a1')] }
+    }));
+    assert.deepStrictEqual(report.warnings.map(warning => warning.message), [
+        "$match at $[2] is left in place: $[0] $project doesn't keep 'address' as it is",
+        "$match at $[3] is left in place: $[0] $project changes 'price'"
+    ]);
+});
+
+testRunner.test('Hoisting stops at other stages and at queries that read the whole document', () => {
+    const { result, report } = converter.convertAggregationPipeline([
+        { $set: { flag: true } },
+        { $match: { $expr: { $eq: ['$$ROOT', null] } } },
+        { $group: { _id: '$status' } },
+        { $match: { _id: 'open' } }
+    ], { report: true });
+    assert.strictEqual(result.length, 4);
+    assert.ok(!result[0].$search);
+    assert.deepStrictEqual(report.warnings.map(warning => warning.message), [
+        '$match at $[1] is left in place: it may read any field',
+        "$match at $[3] is left in place: $[2] $group can't be moved past"
+    ]);
+});
+
+testRunner.test('$getField reads its named field unless the name is computed', () => {
+    const { report } = converter.convertAggregationPipeline([
+        { $set: { x: 1 } },
+        { $match: { $expr: { $gt: [{ $getField: 'x' }, 0] } } },
+        { $match: { $expr: { $gt: [{ $getField: { field: { $concat: ['x', 'y'] } } }, 0] } } },
+        { $match: { $expr: { $gt: [{ $getField: { field: 'y', input: '$x' } }, 0] } } }
+    ], { report: true });
+    assert.deepStrictEqual(report.warnings.map(warning => warning.message), [
+        "$match at $[1] is left in place: $[0] $set changes 'x'",
+        '$match at $[2] is left in place: it may read any field',
+        "$match at $[3] is left in place: $[0] $set changes 'x'"
+    ]);
+});
+
+// =============================================================================
+// SUB-PIPELINES
+// =============================================================================
+
+const joinConverter = new MQLToAtlasSearchConverter('test_index', {
+    collectionIndexes: { orders: 'orders_index', items: { indexName: 'items_index', textPaths: ['name'] } }
+});
+
+testRunner.test('$lookup pipelines start with $search on their collection\'s index', () => {
+    const letMatch = { $match: { $expr: { $eq: ['$userId', '$$userId'] } } };
+    assert.deepStrictEqual(joinConverter.convertAggregationPipeline([
+        { $lookup: {
+            from: 'orders',
+            let: { userId: '$_id' },
+            pipeline: [
+                { $match: { state: 'paid', $expr: { $eq: ['$userId', '$$userId'] } } },
+                { $lookup: { from: 'items', localField: 'sku', foreignField: 'sku', pipeline: [{ $match: { $text: { $search: 'red' } } }], as: 'items' } }
+            ],
+            as: 'orders'
+        } }
+    ]), [
+        { $lookup: {
+            from: 'orders',
+            let: { userId: '$_id' },
+            pipeline: [
+                { $search: { index: 'orders_index', equals: { path: 'state', value: 'paid' } } },
+                letMatch,
+                { $lookup: {
+                    from: 'items',
+                    localField: 'sku',
+                    foreignField: 'sku',
+                    pipeline: [{ $search: { index: 'items_index', text: { query: 'red', path: ['name'] } } }],
+                    as: 'items'
+                } }
+            ],
+            as: 'orders'
+        } }
+    ]);
+});
+
+testRunner.test('Sub-pipelines that only filter on let variables keep their $match', () => {
+    const lookup = { $lookup: {
+        from: 'orders',
+        let: { userId: '$_id' },
+        pipeline: [{ $match: { $expr: { $eq: ['$userId', '$$userId'] } } }],
+        as: 'orders'
+    } };
+    const { result, report } = joinConverter.convertAggregationPipeline([{ $match: { status: 'open' } }, lookup], { report: true });
+    assert.deepStrictEqual(result, [search(equals('status', 'open')), lookup]);
+    assert.deepStrictEqual(report.residual, []);
+});
+
+testRunner.test('$unionWith pipelines are converted and $facet branches keep $match', () => {
+    assert.deepStrictEqual(joinConverter.convertAggregationPipeline([
+        { $match: { status: 'open' } },
+        { $unionWith: { coll: 'orders', pipeline: [{ $match: { state: 'paid' } }] } },
+        { $facet: {
+            open: [{ $match: { status: 'open' } }],
+            paid: [{ $unionWith: { coll: 'orders', pipeline: [{ $match: { state: 'paid' } }] } }],
+            archived: [{ $unionWith: { coll: 'archive', pipeline: [{ $match: { status: 'open' } }] } }]
+        } }
+    ]), [
+        search(equals('status', 'open')),
+        { $unionWith: { coll: 'orders', pipeline: [{ $search: { index: 'orders_index', equals: { path: 'state', value: 'paid' } } }] } },
+        { $facet: {
+            open: [{ $match: { status: 'open' } }],
+            paid: [{ $unionWith: { coll: 'orders', pipeline: [{ $search: { index: 'orders_index', equals: { path: 'state', value: 'paid' } } }] } }],
+            // The index of collections without an entry is unknown
+            archived: [{ $unionWith: { coll: 'archive', pipeline: [{ $match: { status: 'open' } }] } }]
+        } }
+    ]);
+});
+
+testRunner.test('Sub-pipeline errors and warnings carry the nested path', () => {
+    assert.throws(() => joinConverter.convertAggregationPipeline([
+        { $unionWith: { coll: 'orders', pipeline: [{ $match: { status: { $bad: 1 } } }] } }
+    ], { strict: true }), error => error.path === '$[0].$unionWith.pipeline[0].$match.status.$bad');
+
+    const { report } = joinConverter.convertAggregationPipeline([
+        { $lookup: { from: 'orders', pipeline: [{ $set: { total: 1 } }, { $match: { total: 1 } }, { $match: { state: 'paid' } }], as: 'orders' } }
+    ], { report: true });
+    assert.deepStrictEqual(report.warnings.map(warning => warning.message), [
+        "$match at $[0].$lookup.pipeline[1] is left in place: $[0].$lookup.pipeline[0] $set changes 'total'"
+    ]);
+});
+
+// =============================================================================
+// $regex ON ANALYZED FIELDS
+// =============================================================================
+
+testRunner.test('Literal $regex is only rewritten to equals on tokens without a normalizer', () => {
+    const tokenConverter = new MQLToAtlasSearchConverter('test_index', {
+        indexDefinition: {
+            mappings: {
+                dynamic: false,
+                fields: {
+                    status: { type: 'token' },
+                    state: [{ type: 'token', normalizer: 'lowercase' }, { type: 'string', analyzer: 'lucene.keyword' }]
+                }
+            }
+        }
+    });
+    assert.deepStrictEqual(tokenConverter.convertQueryToSearch({ status: { $regex: '^Active$' } }).$search.equals, { path: 'status', value: 'Active' });
+    assert.deepStrictEqual(tokenConverter.convertQueryToSearch({ state: { $regex: '^Active$' } }).$search.wildcard, { query: 'Active', path: 'state' });
+});
+
+testRunner.test('$regex on an analyzed string without a keyword sub-field is lossy', () => {
+    const indexConverter = new MQLToAtlasSearchConverter('test_index', {
+        indexDefinition: {
+            mappings: {
+                dynamic: false,
+                fields: {
+                    name: { type: 'string', multi: { keyword: { type: 'string', analyzer: 'lucene.keyword' } } },
+                    title: { type: 'string' }
+                }
+            }
+        }
+    });
+
+    const { report } = indexConverter.convertQueryToSearch({ name: { $regex: 'J.*n' } }, { report: true });
+    assert.deepStrictEqual(report.warnings, []);
+
+    const { result, report: lossy } = indexConverter.convertQueryToSearch({ title: { $regex: 'mongo.*atlas' } }, { report: true });
+    assert.deepStrictEqual(result.$search.regex, { query: '.*mongo.*atlas.*', path: 'title' });
+    assert.deepStrictEqual(lossy.warnings.map(warning => [warning.code, warning.fidelity]), [['ANALYZED_STRING_REGEX', 'subset']]);
+
+    assert.throws(() => indexConverter.convertQueryToSearch({ title: /mongo/ }, { strict: true }),
+        error => error.code === 'ANALYZED_STRING_REGEX' && error.path === '$.title');
+    assert.deepStrictEqual(indexConverter.convertFindQuery({ title: /mongo/ }, { split: true }), [
+        { $search: { index: 'test_index', exists: { path: '_id' } } },
+        { $match: { title: { $regex: /mongo/ } } }
+    ]);
+});
+
+// =============================================================================
+// INDEX VALIDATION
+// =============================================================================
+
+testRunner.test('validateQueries checks the clauses the index-aware converter emits', () => {
+    const indexDefinition = {
+        mappings: {
+            dynamic: false,
+            fields: {
+                name: { type: 'string', multi: { keyword: { type: 'string', analyzer: 'lucene.keyword' } } },
+                price: { type: 'token' }
+            }
+        }
+    };
+    assert.deepStrictEqual(converter.validateQueries([{ name: 'John' }, { price: { $gt: 5 } }], indexDefinition), [
+        { query: 0, operator: 'phrase', path: 'name', status: 'ok', message: "'name' is mapped as string" },
+        { query: 1, operator: null, path: '$.price.$gt', status: 'error', message: "'price' is indexed as token and can't be queried with range on a number value" }
+    ]);
+});
+
+testRunner.test('validateQueries reports every mapping error and the conversion warnings', () => {
+    const indexDefinition = { mappings: { dynamic: false, fields: { status: { type: 'token' }, name: { type: 'string' } } } };
+    assert.deepStrictEqual(converter.validateQueries([
+        [{ $match: { status: 'a' } }, { $sort: { name: 1 } }],
+        { x: 1, y: { $gt: 2 }, status: 'b' }
+    ], indexDefinition), [
+        { query: 0, operator: 'equals', path: 'status', status: 'ok', message: "'status' is mapped as token" },
+        {
+            query: 0,
+            operator: null,
+            path: '$[1].$sort.name',
+            status: 'error',
+            message: "Warning: Sort field 'name' is not indexed as a sortable type; sorting with a $sort stage instead"
+        },
+        { query: 1, operator: null, path: '$.x', status: 'error', message: "'x' is not indexed in the search index" },
+        { query: 1, operator: null, path: '$.y.$gt', status: 'error', message: "'y' is not indexed in the search index" },
+        { query: 1, operator: 'equals', path: 'status', status: 'ok', message: "'status' is mapped as token" }
+    ]);
+});
+
+testRunner.test('Generated definitions index regex paths as whole values', () => {
+    const queries = [{ name: { $regex: '^John' } }];
+    const { definition } = converter.generateIndexDefinition(queries);
+    assert.deepStrictEqual(definition.mappings.fields, {
+        name: { type: 'string', multi: { keyword: { type: 'string', analyzer: 'lucene.keyword' } } }
+    });
+
+    const { report } = new MQLToAtlasSearchConverter('test_index', { indexDefinition: definition })
+        .convertFindQuery(queries[0], { report: true });
+    assert.deepStrictEqual(report.warnings, []);
+});
+
+// =============================================================================
+// COUNTS
+// =============================================================================
+
+const searchMeta = (operator, type = 'total') => ({ $searchMeta: { index: 'test_index', ...operator, count: { type } } });
+
+testRunner.test('$count after the converted $match uses $searchMeta', () => {
+    assert.deepStrictEqual(converter.convertAggregationPipeline([
+        { $match: { status: 'active' } },
+        { $sort: { createdAt: -1 } },
+        { $count: 'n' }
+    ]), [
+        searchMeta(equals('status', 'active')),
+        { $match: { 'count.total': { $gt: 0 } } },
+        { $project: { _id: 0, n: '$count.total' } }
+    ]);
+});
+
+testRunner.test('countDocuments-style $group keeps its _id and honours countType', () => {
+    assert.deepStrictEqual(converter.convertAggregationPipeline([
+        { $match: { status: 'active' } },
+        { $group: { _id: 1, n: { $sum: 1 } } }
+    ], { countType: 'lowerBound' }), [
+        searchMeta(equals('status', 'active'), 'lowerBound'),
+        { $match: { 'count.lowerBound': { $gt: 0 } } },
+        { $project: { _id: { $literal: 1 }, n: '$count.lowerBound' } }
+    ]);
+});
+
+testRunner.test('Counts over residual, limited or grouped results keep their stages', () => {
+    const convert = (...stages) => converter.convertAggregationPipeline([{ $match: { status: 'active' } }, ...stages]);
+    assert.deepStrictEqual(convert({ $limit: 5 }, { $count: 'n' }), [search(equals('status', 'active')), { $limit: 5 }, { $count: 'n' }]);
+    assert.deepStrictEqual(convert({ $group: { _id: '$type', n: { $sum: 1 } } }),
+        [search(equals('status', 'active')), { $group: { _id: '$type', n: { $sum: 1 } } }]);
+    assert.deepStrictEqual(convert({ $group: { _id: null, n: { $sum: '$qty' } } }),
+        [search(equals('status', 'active')), { $group: { _id: null, n: { $sum: '$qty' } } }]);
+
+    const [first, ...rest] = converter.convertAggregationPipeline([{ $match: { qty: { $mod: [2, 0] } } }, { $count: 'n' }]);
+    assert.ok(first.$search);
+    assert.deepStrictEqual(rest, [{ $match: { qty: { $mod: [2, 0] } } }, { $count: 'n' }]);
+});
+
+testRunner.test('convertCountQuery returns one { n } document', () => {
+    assert.deepStrictEqual(converter.convertCountQuery({ status: 'active' }), [
+        searchMeta(equals('status', 'active')),
+        { $project: { _id: 0, n: '$count.total' } }
+    ]);
+    assert.deepStrictEqual(converter.convertCountQuery({ status: 'active' }, { skip: 10, limit: 5 }), [
+        search(equals('status', 'active')),
+        { $skip: 10 },
+        { $limit: 5 },
+        { $count: 'n' }
+    ]);
+});
+
+testRunner.test('Index tools read the operator of $searchMeta count stages', () => {
+    const pipeline = [{ $match: { status: 'active' } }, { $count: 'n' }];
+    assert.deepStrictEqual(converter.generateIndexDefinition([pipeline]).definition.mappings.fields, {
+        status: { type: 'token' }
+    });
+    assert.deepStrictEqual(converter.validateQueries([pipeline], { mappings: { dynamic: false, fields: {} } }), [{
+        query: 0,
+        operator: null,
+        path: '$[0].$match.status',
+        status: 'error',
+        message: '\'status\' is not indexed in the search index'
+    }]);
+});
+
+testRunner.run();
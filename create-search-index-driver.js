@@ -55,100 +55,7 @@ try {
 // Atlas Search index definition for our test suite
 const searchIndex = {
     name: config.searchIndex,
-    definition: {
-        mappings: {
-            dynamic: true,
-            fields: {
-                // String fields for exact matching (using token type for equals/in/range)
-                status: {
-                    type: "token"
-                },
-                category: {
-                    type: "token"
-                },
-                priority: {
-                    type: "token"
-                },
-                testType: {
-                    type: "token"
-                },
-                
-                // Array of strings (using token for exact matching)
-                tags: {
-                    type: "token"
-                },
-                skills: {
-                    type: "token"
-                },
-                
-                // Text fields for full-text search (using string type for text search)
-                name: {
-                    type: "string"
-                },
-                title: {
-                    type: "string"
-                },
-                description: {
-                    type: "string"
-                },
-                content: {
-                    type: "string"
-                },
-                
-                // Email field (using token for exact matching)
-                email: {
-                    type: "token"
-                },
-                
-                // Numeric fields
-                age: {
-                    type: "number"
-                },
-                count: {
-                    type: "number"
-                },
-                price: {
-                    type: "number"
-                },
-                score: {
-                    type: "number"
-                },
-                temperature: {
-                    type: "number"
-                },
-                
-                // Boolean fields
-                isActive: {
-                    type: "boolean"
-                },
-                featured: {
-                    type: "boolean"
-                },
-                
-                // Date fields
-                createdAt: {
-                    type: "date"
-                },
-                publishDate: {
-                    type: "date"
-                },
-                updatedAt: {
-                    type: "date"
-                },
-                deletedAt: {
-                    type: "date"
-                },
-                
-                // Autocomplete field example (using built-in autocomplete type)
-                skillsAutocomplete: {
-                    type: "autocomplete",
-                    tokenization: "edgeGram",
-                    minGrams: 2,
-                    maxGrams: 15
-                }
-            }
-        }
-    }
+    definition: require('./search-index-definition.js')
 };
 
 async function createSearchIndexWithDriver() {
@@ -86,7 +86,7 @@ const complexPipeline = [
     { $match: { status: 'published' } },
     { $sort: { publishDate: -1 } },
     { $limit: 100 },
-    { $match: { featured: true } },  // This will be a separate $search stage
+    { $match: { featured: true } },  // Stays a $match stage: $search must come first
     { $project: { title: 1, publishDate: 1, featured: 1 } }
 ];
 
@@ -95,7 +95,7 @@ displayPipeline('Original Pipeline:', complexPipeline);
 const complexConverted = converter.convertAggregationPipeline(complexPipeline);
 displayPipeline('Converted Pipeline:', complexConverted);
 
-colorLog('green', '✅ First $match optimized with sort+limit, second $match becomes separate $search');
+colorLog('green', '✅ First $match optimized with sort, second $match stays after the $limit');
 
 // =============================================================================
 // DEMO 4: Pipeline with non-optimizable stages
@@ -221,7 +221,7 @@ colorLog('magenta', '\n🎉 DEMO COMPLETE - Key Features Demonstrated:');
 console.log();
 colorLog('green', '✅ Basic $match to $search conversion');
 colorLog('green', '✅ [$match, $sort, $limit] optimization into single $search stage');
-colorLog('green', '✅ Multiple $match stages handled independently');
+colorLog('green', '✅ Only leading $match stages become $search');
 colorLog('green', '✅ Complex logical operators ($and, $or, $nor)');
 colorLog('green', '✅ Range operators ($gte, $lt, $in, etc.)');
 colorLog('green', '✅ Null equality handling');
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Generate an Atlas Search index definition from MQL queries
+ * 
+ * Converts every query in a query file and prints a minimal static index
+ * definition with the field types the generated $search stages need, plus the
+ * fields used in ways a single mapping can't serve.
+ * 
+ * The query file is a .js module or .json file exporting an array of MQL find
+ * filters (objects) and aggregation pipelines (arrays). See sample-queries.js.
+ * 
+ * Usage: node generate-search-index.js <query-file> [output-file]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MQLToAtlasSearchConverter = require('./mql-to-atlas-search.js');
+
+// Colors for console output
+const colors = {
+    reset: '\x1b[0m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    cyan: '\x1b[36m',
+    magenta: '\x1b[35m'
+};
+
+function colorLog(color, message) {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const [queryFile, outputFile] = process.argv.slice(2);
+
+if (!queryFile) {
+    colorLog('red', '❌ Usage: node generate-search-index.js <query-file> [output-file]');
+    process.exit(1);
+}
+
+let queries;
+try {
+    queries = require(path.resolve(queryFile));
+} catch (error) {
+    colorLog('red', `❌ Could not load ${queryFile}: ${error.message}`);
+    process.exit(1);
+}
+
+if (!Array.isArray(queries)) {
+    colorLog('red', `❌ ${queryFile} must export an array of find filters and pipelines`);
+    process.exit(1);
+}
+
+console.log('🧩 Atlas Search Index Definition Generator');
+console.log('='.repeat(45));
+console.log(`   Queries: ${queries.length} from ${queryFile}`);
+console.log();
+
+const converter = new MQLToAtlasSearchConverter();
+const { definition, conflicts } = converter.generateIndexDefinition(queries);
+const json = JSON.stringify(definition, null, 2);
+
+if (outputFile) {
+    fs.writeFileSync(outputFile, json + '\n');
+    colorLog('green', `✅ Index definition written to ${outputFile}`);
+} else {
+    colorLog('blue', '📝 Index definition:');
+    console.log(json);
+}
+
+console.log();
+if (conflicts.length > 0) {
+    colorLog('yellow', `⚠️  ${conflicts.length} conflict(s) need a manual mapping:`);
+    conflicts.forEach(conflict => {
+        console.log(`   • ${conflict.message} (queries: ${conflict.queries.join(', ')})`);
+    });
+} else {
+    colorLog('green', '✅ No conflicts - every field has a single compatible mapping');
+}
@@ -4,276 +4,988 @@
  * Converts standard MQL queries and aggregation pipeline stages to Atlas Search $search equivalents
  */
 
+/**
+ * Base class for errors raised while converting a query
+ * Carries a machine-readable code and the JSON path of the offending input
+ */
+class ConversionError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {string} code - Error code, e.g. UNSUPPORTED_OPERATOR
+     * @param {string} path - JSON path of the offending input, e.g. $.tags
+     */
+    constructor(message, code, path) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.path = path;
+    }
+}
+
+/**
+ * Operator with no Atlas Search equivalent
+ */
+class UnsupportedOperatorError extends ConversionError {}
+
+/**
+ * Construct Atlas Search can only approximate, so results would differ from MQL
+ */
+class LossyConversionError extends ConversionError {}
+
+/**
+ * Sort that can't be expressed as an Atlas Search sort
+ */
+class UnsupportedSortError extends ConversionError {}
+
+/**
+ * Malformed query or pipeline
+ */
+class InvalidQueryError extends ConversionError {}
+
+/**
+ * Path the index definition doesn't map in a way the query can use
+ */
+class IndexMappingError extends ConversionError {}
+
+/**
+ * Per-conversion state shared by the recursive conversion methods
+ * Collects the MQL predicates that Atlas Search cannot express so they can be
+ * applied as a trailing $match stage, and the warnings for the conversion report
+ */
+class ConversionContext {
+    /**
+     * @param {Object} options - Context options
+     * @param {boolean} options.split - Move every lossy predicate to the residual $match
+     * @param {boolean} options.report - Collect warnings for a report instead of logging them
+     * @param {boolean} options.strict - Throw a ConversionError instead of recording a warning
+     * @param {boolean} options.rewriteRegex - Rewrite literal and prefix regexes to cheaper operators
+     * @param {string|Object} options.scoring - Scoring policy for conjuncts: 'filter', 'must' or { fields, text }
+     * @param {string} options.countType - $searchMeta count type for count queries: 'total' or 'lowerBound'
+     * @param {boolean} options.collectMappingErrors - Record IndexMappingErrors in mappingErrors instead of throwing them
+     */
+    constructor(options = {}) {
+        // Split mode: lossy predicates are checked by the residual $match instead of logging a warning
+        this.split = options.split || false;
+        this.strict = options.strict || false;
+        this.rewriteRegex = options.rewriteRegex !== false;
+        this.scoring = options.scoring || 'filter';
+        this.countType = options.countType || 'total';
+        this.collectReport = options.report || false;
+        // { field, error } for each IndexMappingError, when they are collected rather than thrown
+        this.mappingErrors = options.collectMappingErrors ? [] : null;
+        // Set when the query has $text, whose clauses keep scoring for { $meta: 'searchScore' }
+        this.textSearch = false;
+        // Logical nesting depth; 0 means the predicate is a top-level conjunct
+        this.depth = 0;
+        // Set inside $not and $nor, where an approximation that adds documents removes them instead
+        this.negated = false;
+        // Top-level MQL predicates kept in a $match after $search
+        this.residuals = [];
+        // Residual predicates already emitted by createResidualStages()
+        this.appliedResiduals = [];
+        // Set when an unconvertible predicate is found below the top level
+        this.nestedResidual = false;
+        // Array path that field names are relative to inside $elemMatch
+        this.fieldPrefix = '';
+        // Path segments of the input currently being converted, starting at the root '$'
+        this.path = ['$'];
+        this.warnings = [];
+    }
+
+    /**
+     * Run a conversion step one path segment deeper
+     * @param {string|number} segment - Object key or array index
+     * @param {Function} fn - Conversion step
+     * @returns {*} - Result of fn
+     */
+    at(segment, fn) {
+        this.path.push(segment);
+        try {
+            return fn();
+        } finally {
+            this.path.pop();
+        }
+    }
+
+    /**
+     * Run a conversion step with a different path
+     * @param {Array} segments - Path segments, starting with the root name
+     * @param {Function} fn - Conversion step
+     * @returns {*} - Result of fn
+     */
+    withPath(segments, fn) {
+        const previous = this.path;
+        this.path = [...segments];
+        try {
+            return fn();
+        } finally {
+            this.path = previous;
+        }
+    }
+
+    /**
+     * JSON path of the input currently being converted, e.g. $.$or[1].tags
+     * @returns {string} - JSON path
+     */
+    currentPath() {
+        const [root, ...segments] = this.path;
+        return root + segments.map(segment => typeof segment === 'number' ? `[${segment}]` : `.${segment}`).join('');
+    }
+
+    /**
+     * Build the conversion report
+     * Fidelity is 'exact' when every warning is exact, 'superset' or 'subset' when all lossy
+     * warnings agree, and 'approximate' when they don't
+     * @returns {Object} - { fidelity, warnings, residual }
+     */
+    getReport() {
+        const lossy = new Set(this.warnings.map(warning => warning.fidelity).filter(fidelity => fidelity !== 'exact'));
+        let fidelity = 'exact';
+        if (lossy.size === 1) {
+            [fidelity] = lossy;
+        } else if (lossy.size > 1) {
+            fidelity = 'approximate';
+        }
+
+        return {
+            fidelity,
+            warnings: [...this.warnings],
+            residual: [...this.appliedResiduals, ...this.residuals]
+        };
+    }
+}
+
 class MQLToAtlasSearchConverter {
-    constructor(indexName = 'default') {
+    /**
+     * @param {string} indexName - Atlas Search index name
+     * @param {Object} options - Converter options
+     * @param {Object} options.indexDefinition - Atlas Search index definition ({ mappings: { dynamic, fields } });
+     *                                           operators and paths are chosen from the field mappings
+     * @param {Object} options.lowercaseFields - Field path to the name of its multi sub-field indexed with a
+     *                                           lowercasing keyword analyzer, for $regex with the i option
+     * @param {Array<string>|boolean} options.embeddedDocumentPaths - Paths mapped as embeddedDocuments in the index,
+     *                                                   or true to treat every $elemMatch document array as one
+     * @param {Array<string>} options.scalarPaths - Paths that never hold arrays, whose range bounds in a
+     *                                         conjunction are merged into one range
+     * @param {boolean} options.split - Default for the split option of the conversion methods
+     * @param {boolean} options.strict - Throw a ConversionError for every lossy or unsupported construct
+     * @param {boolean} options.rewriteRegex - Rewrite literal and prefix regexes to equals, autocomplete or
+     *                                         wildcard when the index supports it (default true)
+     * @param {string|Object} options.scoring - Default scoring policy: 'filter' (conjuncts don't score), 'must'
+     *                                          (every conjunct scores) or { fields, text } (see applyScoringPolicy)
+     * @param {string|Array|Object} options.textPaths - Paths $text searches (default { wildcard: '*' }, every
+     *                                                  string field)
+     * @param {Object} options.collectionIndexes - Collection name to the index name, or to { indexName, ...options }
+     *                                             for its converter, used for $lookup and $unionWith pipelines
+     * @param {string} options.countType - Default count type of count queries: 'total' (exact, default) or
+     *                                     'lowerBound' (exact up to 1000 matches, faster)
+     */
+    constructor(indexName = 'default', options = {}) {
         this.indexName = indexName;
+        this.indexMappings = options.indexDefinition ? options.indexDefinition.mappings : null;
+        this.indexAnalyzers = options.indexDefinition ? options.indexDefinition.analyzers || [] : [];
+        this.lowercaseFields = options.lowercaseFields || {};
+        this.allEmbeddedDocuments = options.embeddedDocumentPaths === true;
+        this.embeddedDocumentPaths = new Set([
+            ...(Array.isArray(options.embeddedDocumentPaths) ? options.embeddedDocumentPaths : []),
+            ...this.collectEmbeddedDocumentPaths(this.indexMappings)
+        ]);
+        this.scalarPaths = new Set(options.scalarPaths || []);
+        this.split = options.split || false;
+        this.strict = options.strict || false;
+        this.rewriteRegex = options.rewriteRegex !== false;
+        this.scoring = options.scoring || 'filter';
+        this.textPaths = options.textPaths || { wildcard: '*' };
+        this.collectionIndexes = options.collectionIndexes || {};
+        this.countType = options.countType || 'total';
+    }
+
+    /**
+     * Create the context for one conversion
+     * An existing context is returned as-is, so nested calls share the caller's state
+     * @param {Object|ConversionContext} options - Conversion options (split, strict, rewriteRegex, scoring, countType, report) or a context
+     * @returns {ConversionContext} - Conversion context
+     */
+    createContext(options = {}) {
+        if (options instanceof ConversionContext) {
+            return options;
+        }
+
+        return new ConversionContext({
+            split: options.split ?? this.split,
+            strict: options.strict ?? this.strict,
+            rewriteRegex: options.rewriteRegex ?? this.rewriteRegex,
+            scoring: options.scoring ?? this.scoring,
+            countType: options.countType ?? this.countType,
+            report: options.report,
+            collectMappingErrors: options.collectMappingErrors
+        });
+    }
+
+    /**
+     * Wrap a conversion result with its report when one was requested
+     * @param {*} result - Conversion result
+     * @param {Object} options - Conversion options
+     * @param {ConversionContext} context - Context used for the conversion
+     * @returns {*} - The result, or { result, report } when options.report is true
+     */
+    withReport(result, options, context) {
+        if (options.report === true) {
+            return { result, report: context.getReport() };
+        }
+        return result;
+    }
+
+    /**
+     * Record a conversion warning at the current input path
+     * In strict mode the warning is thrown as a ConversionError instead, unless the
+     * residual $match already keeps the results exact
+     * @param {ConversionContext} context - Conversion context
+     * @param {Object} warning - { code, message, fidelity }
+     * @param {boolean} resolved - Whether a residual $match keeps the results exact
+     */
+    addWarning(context, { code, message, fidelity }, resolved = false) {
+        const path = context.currentPath();
+
+        if (context.strict && !resolved) {
+            throw this.createConversionError(code, message, path);
+        }
+
+        context.warnings.push({ code, path, message, fidelity });
+
+        if (!resolved && !context.collectReport) {
+            console.warn(message);
+        }
+    }
+
+    /**
+     * Throw an IndexMappingError, or record it when the context collects them (see validateQueries)
+     * Callers go on as if the path had no mapping when the error is recorded
+     * @param {ConversionContext} context - Conversion context
+     * @param {string} field - Field path the error is about
+     * @param {string} code - UNINDEXED_PATH, INCOMPATIBLE_MAPPING or MISSING_LOWERCASE_FIELD
+     * @param {string} message - Error message
+     * @throws {IndexMappingError} - Unless context.mappingErrors collects it
+     */
+    raiseMappingError(context, field, code, message) {
+        const error = this.createConversionError(code, message, context.currentPath());
+        if (!context.mappingErrors) {
+            throw error;
+        }
+        context.mappingErrors.push({ field, error });
+    }
+
+    /**
+     * Create the typed error for a warning or error code
+     * @param {string} code - Warning or error code
+     * @param {string} message - Error message
+     * @param {string} path - JSON path of the offending input
+     * @returns {ConversionError} - Error to throw
+     */
+    createConversionError(code, message, path) {
+        const errorClasses = {
+            UNSUPPORTED_OPERATOR: UnsupportedOperatorError,
+            UNSUPPORTED_LOGICAL_OPERATOR: UnsupportedOperatorError,
+            UNSUPPORTED_REGEX_VALUE: UnsupportedOperatorError,
+            UNTRANSLATABLE_REGEX: UnsupportedOperatorError,
+            COMPLEX_SORT: UnsupportedSortError,
+            UNSORTABLE_FIELD: UnsupportedSortError,
+            TOP_LEVEL_NOT: InvalidQueryError,
+            INVALID_ARGUMENT: InvalidQueryError,
+            UNINDEXED_PATH: IndexMappingError,
+            MISSING_LOWERCASE_FIELD: IndexMappingError,
+            INCOMPATIBLE_MAPPING: IndexMappingError
+        };
+        const ErrorClass = errorClasses[code] || LossyConversionError;
+        return new ErrorClass(message, code, path);
     }
 
     /**
      * Convert a standard MQL find query to Atlas Search aggregation pipeline
      * @param {Object} query - MQL query object
-     * @param {Object} options - Additional options (projection, sort, limit, skip)
-     * @returns {Array} - Atlas Search aggregation pipeline
+     * @param {Object} options - Additional options (projection, sort, limit, skip, split, report)
+     * @returns {Array|Object} - Atlas Search aggregation pipeline, or { result, report } when options.report is true
      */
     convertFindQuery(query, options = {}) {
+        const context = this.createContext(options);
+
         // Use the new optimization for sort (but not limit/skip)
-        if (options.sort) {
-            const searchStage = this.convertQueryToSearchWithOptions(query, {
-                sort: options.sort
-            });
-            
-            const pipeline = [searchStage];
-            
-            // Add projection if specified (can't optimize this into $search)
-            if (options.projection) {
-                pipeline.push({ $project: options.projection });
-            }
-            
-            // Add skip if specified (as separate stage)
+        const searchStage = options.sort
+            ? this.convertQueryToSearchWithOptions(query, { sort: options.sort }, context)
+            : this.convertQueryToSearch(query, context);
+
+        const pipeline = [searchStage, ...this.createResidualStages(context)];
+
+        // Sorts $search can't express are applied after filtering
+        if (options.sort && !searchStage.$search.sort) {
+            pipeline.push({ $sort: this.convertTextScoreMeta(options.sort) });
+        }
+
+        // Add projection if specified (can't optimize this into $search)
+        if (options.projection) {
+            pipeline.push({ $project: this.convertTextScoreMeta(options.projection) });
+        }
+
+        // Add skip if specified (as separate stage)
+        if (options.skip) {
+            pipeline.push({ $skip: options.skip });
+        }
+
+        // Add limit if specified (as separate stage)
+        if (options.limit) {
+            pipeline.push({ $limit: options.limit });
+        }
+
+        return this.withReport(pipeline, options, context);
+    }
+
+    /**
+     * Convert a countDocuments-style count of a find query
+     * The count comes from $searchMeta without returning the matching documents, as one
+     * { n } document. Queries with a residual $match, and counts with skip or limit, count
+     * the documents with $count instead, which returns no document when nothing matches
+     * @param {Object} query - MQL query object
+     * @param {Object} options - Additional options (skip, limit, countType, split, report)
+     * @returns {Array|Object} - Atlas Search aggregation pipeline, or { result, report } when options.report is true
+     */
+    convertCountQuery(query, options = {}) {
+        const context = this.createContext(options);
+        const searchStage = this.buildSearchStage(query, context);
+        const residualStages = this.createResidualStages(context);
+
+        if (residualStages.length > 0 || options.skip || options.limit) {
+            const pipeline = [searchStage, ...residualStages];
             if (options.skip) {
                 pipeline.push({ $skip: options.skip });
             }
-            
-            // Add limit if specified (as separate stage)
             if (options.limit) {
                 pipeline.push({ $limit: options.limit });
             }
-            
-            return pipeline;
-        } else {
-            // Original behavior for queries without sort optimization
-            const searchStage = this.convertQueryToSearch(query);
-            const pipeline = [searchStage];
+            pipeline.push({ $count: 'n' });
+            return this.withReport(pipeline, options, context);
+        }
 
-            // Add projection if specified
-            if (options.projection) {
-                pipeline.push({ $project: options.projection });
-            }
-            
-            // Add skip if specified
-            if (options.skip) {
-                pipeline.push({ $skip: options.skip });
-            }
+        return this.withReport([
+            this.createSearchMetaStage(searchStage, context.countType),
+            { $project: { _id: 0, n: `$count.${context.countType}` } }
+        ], options, context);
+    }
 
-            // Add limit if specified
-            if (options.limit) {
-                pipeline.push({ $limit: options.limit });
-            }
+    /**
+     * Turn a $search stage into a $searchMeta stage that counts its matches
+     * @param {Object} searchStage - $search stage; its sort is dropped
+     * @param {string} countType - 'total' or 'lowerBound'
+     * @returns {Object} - $searchMeta stage, whose result is { count: { <countType>: <number> } }
+     */
+    createSearchMetaStage(searchStage, countType) {
+        const { sort, ...operator } = searchStage.$search;
+        return { $searchMeta: { ...operator, count: { type: countType } } };
+    }
+
+    /**
+     * Replace the $search stage and the counting stage of a count-only pipeline with $searchMeta
+     * A pipeline counts only when a single $count, or a $group with a constant _id and one
+     * { $sum: 1 } field (as countDocuments sends), follows the $search stage
+     * @param {Object} searchStage - Converted $search stage
+     * @param {Array} remainingStages - Stages after it
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Array|null} - $searchMeta pipeline producing the same document, or null when the pipeline doesn't only count
+     */
+    convertCountStages(searchStage, remainingStages, context) {
+        if (remainingStages.length !== 1) {
+            return null;
+        }
 
-            return pipeline;
+        const [stage] = remainingStages;
+        let id, field;
+        if (typeof stage.$count === 'string') {
+            [id, field] = [undefined, stage.$count];
+        } else if (stage.$group && typeof stage.$group === 'object') {
+            const { _id, ...accumulators } = stage.$group;
+            const entries = Object.entries(accumulators);
+            const isConstant = value => value === null || ['number', 'boolean'].includes(typeof value) ||
+                (typeof value === 'string' && !value.startsWith('$'));
+            if (!isConstant(_id) || entries.length !== 1 || JSON.stringify(entries[0][1]) !== '{"$sum":1}') {
+                return null;
+            }
+            [id, field] = [_id, entries[0][0]];
+        } else {
+            return null;
         }
+
+        const countPath = `count.${context.countType}`;
+        return [
+            this.createSearchMetaStage(searchStage, context.countType),
+            // $count and $group return no document when nothing matches; $searchMeta returns a count of 0
+            { $match: { [countPath]: { $gt: 0 } } },
+            { $project: { _id: id === undefined ? 0 : { $literal: id }, [field]: `$${countPath}` } }
+        ];
     }
 
     /**
      * Convert aggregation pipeline to include Atlas Search
-     * Optimizes common patterns like [$match, $sort, $limit] into single $search stages
+     * $search must be the first stage, so only $match stages that are at the start of the
+     * pipeline, or can be moved there (see optimizePipelineSequence), are converted, merged
+     * into one $search together with a $sort among them; other $match stages are left as they are.
+     * $lookup and $unionWith pipelines are converted the same way (see convertSubPipelines), and
+     * pipelines that only count the matches use $searchMeta (see convertCountStages)
      * @param {Array} pipeline - Original aggregation pipeline
-     * @param {Object} options - Conversion options
-     * @returns {Array} - Modified pipeline with Atlas Search
+     * @param {Object} options - Conversion options (countType, split, report)
+     * @returns {Array|Object} - Modified pipeline with Atlas Search, or { result, report } when options.report is true
      */
     convertAggregationPipeline(pipeline, options = {}) {
         if (!Array.isArray(pipeline)) {
-            throw new Error('Pipeline must be an array');
+            throw new InvalidQueryError('Pipeline must be an array', 'INVALID_ARGUMENT', '$');
         }
 
-        const newPipeline = [];
-        let i = 0;
-        
-        while (i < pipeline.length) {
-            const stage = pipeline[i];
-            
-            if (stage.$match) {
-                // Look ahead to see if we can optimize with subsequent stages
-                const optimization = this.optimizePipelineSequence(pipeline, i, options);
-                
-                if (optimization.optimized) {
-                    // Add the optimized search stage
-                    newPipeline.push(optimization.searchStage);
-                    
-                    // Add any remaining non-optimized stages
-                    newPipeline.push(...optimization.remainingStages);
-                    
-                    // Skip the stages we've already processed
-                    i = optimization.nextIndex;
-                } else {
-                    // No optimization possible, just convert $match to $search
-                    const searchStage = this.convertQueryToSearch(stage.$match);
-                    newPipeline.push(searchStage);
-                    i++;
+        const context = this.createContext(options);
+        return this.withReport(this.convertPipelineStages(pipeline, context), options, context);
+    }
+
+    /**
+     * Convert the stages of a pipeline or sub-pipeline (see convertAggregationPipeline)
+     * @param {Array} pipeline - Aggregation pipeline
+     * @param {ConversionContext} context - Conversion context
+     * @param {Array} basePath - Path segments of the pipeline, ['$'] for the top level
+     * @param {boolean} nested - Whether this is a $lookup or $unionWith pipeline
+     * @returns {Array|null} - Converted pipeline, or null for a nested pipeline whose $search would match every document
+     */
+    convertPipelineStages(pipeline, context, basePath = ['$'], nested = false) {
+        const stages = pipeline.map((stage, index) => this.convertSubPipelines(stage, context, [...basePath, index]));
+        const optimization = this.optimizePipelineSequence(stages, {}, context, basePath);
+        if (!optimization.optimized) {
+            // No $match can be moved to the front; the pipeline can't start with $search
+            return stages;
+        }
+        if (nested && optimization.clauseCount === 0) {
+            return null;
+        }
+
+        // Counting needs the number of matches, not the documents
+        const countStages = !nested && this.convertCountStages(optimization.searchStage, optimization.remainingStages, context);
+        if (countStages) {
+            return countStages;
+        }
+
+        const newPipeline = [optimization.searchStage, ...optimization.remainingStages];
+
+        // $text scores are Atlas Search scores once $match is converted
+        return newPipeline.map(stage => this.convertTextScoreMeta(stage));
+    }
+
+    /**
+     * Convert the pipelines nested in a $lookup, $unionWith or $facet stage
+     * $lookup and $unionWith pipelines run against their own collection and may start with
+     * $search, using the index from collectionIndexes; pipelines on collections without an
+     * entry are left unchanged, as their index is unknown. A sub-pipeline whose predicates all
+     * need the residual $match, such as $expr on let variables, keeps its $match stages: a
+     * match-all $search for every joined document costs more. $search can't run inside
+     * $facet, so its branches keep their $match stages and only their own $lookup and
+     * $unionWith stages are converted
+     * @param {Object} stage - Aggregation stage
+     * @param {ConversionContext} context - Conversion context
+     * @param {Array} path - Path segments of the stage
+     * @returns {Object} - Stage with converted sub-pipelines
+     */
+    convertSubPipelines(stage, context, path) {
+        const [name, spec] = Object.entries(stage)[0] || [];
+        const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+        switch (name) {
+            case '$lookup':
+            case '$unionWith': {
+                const collection = name === '$lookup' ? spec.from : spec.coll;
+                if (!isObject(spec) || !Array.isArray(spec.pipeline) || typeof collection !== 'string') {
+                    return stage;
                 }
-            } else {
-                newPipeline.push(stage);
-                i++;
+                const converter = this.forCollection(collection);
+                if (!converter) {
+                    return stage;
+                }
+                const pipeline = converter.convertSubPipeline(spec.pipeline, context, [...path, name, 'pipeline']);
+                return { [name]: { ...spec, pipeline } };
+            }
+
+            case '$facet': {
+                if (!isObject(spec)) {
+                    return stage;
+                }
+                const branches = Object.entries(spec).map(([branch, stages]) => [
+                    branch,
+                    Array.isArray(stages)
+                        ? stages.map((branchStage, index) => this.convertSubPipelines(branchStage, context, [...path, name, branch, index]))
+                        : stages
+                ]);
+                return { [name]: Object.fromEntries(branches) };
             }
+
+            default:
+                return stage;
         }
-        
-        return newPipeline;
     }
 
     /**
-     * Optimize pipeline sequences starting with $match
-     * Looks for patterns like [$match, $sort, $limit] and combines them into $search
+     * Convert a $lookup or $unionWith pipeline with this converter's index
+     * Conversion state of the enclosing pipeline is kept apart, and the conversion is
+     * undone when no predicate could be converted (see convertSubPipelines)
+     * @param {Array} pipeline - Sub-pipeline
+     * @param {ConversionContext} context - Conversion context
+     * @param {Array} basePath - Path segments of the sub-pipeline
+     * @returns {Array} - Converted sub-pipeline
+     */
+    convertSubPipeline(pipeline, context, basePath) {
+        const { textSearch, residuals } = context;
+        const warningCount = context.warnings.length;
+        const residualCount = context.appliedResiduals.length;
+        context.textSearch = false;
+        context.residuals = [];
+
+        try {
+            const converted = this.convertPipelineStages(pipeline, context, basePath, true);
+            if (converted) {
+                return converted;
+            }
+
+            context.warnings.length = warningCount;
+            context.appliedResiduals.length = residualCount;
+            return pipeline.map((stage, index) => this.convertSubPipelines(stage, context, [...basePath, index]));
+        } finally {
+            context.textSearch = textSearch;
+            context.residuals = residuals;
+        }
+    }
+
+    /**
+     * Converter for the pipelines of another collection
+     * @param {string} collection - Collection name
+     * @returns {MQLToAtlasSearchConverter|null} - Converter with the index listed in collectionIndexes,
+     *                                             or null when the collection has no entry
+     */
+    forCollection(collection) {
+        if (!Object.prototype.hasOwnProperty.call(this.collectionIndexes, collection)) {
+            return null;
+        }
+        const entry = this.collectionIndexes[collection];
+        const { indexName = this.indexName, ...options } = typeof entry === 'string' ? { indexName: entry } : entry;
+        return new MQLToAtlasSearchConverter(indexName, { ...options, collectionIndexes: this.collectionIndexes });
+    }
+
+    /**
+     * Combine the $match stages that can run first into one $search stage
+     * A $match is moved in front of the $sort, $addFields, $set, $unset, $unwind and $project
+     * stages before it when none of them changes or removes a field it reads; the first $sort
+     * is moved the same way and becomes the $search sort. The scan stops at any other stage,
+     * and every $match left in place is reported as MATCH_NOT_HOISTED with the reason
      * @param {Array} pipeline - Full pipeline
-     * @param {number} startIndex - Index of $match stage
      * @param {Object} options - Optimization options
-     * @returns {Object} - Optimization result
+     * @param {ConversionContext} context - Conversion context
+     * @param {Array} basePath - Path segments of the pipeline, ['$'] for the top level
+     * @returns {Object} - { optimized: false } when no $match can be moved to the front, otherwise
+     *                     { optimized: true, searchStage, remainingStages, clauseCount }
      */
-    optimizePipelineSequence(pipeline, startIndex, options = {}) {
-        const matchStage = pipeline[startIndex];
-        
-        if (!matchStage.$match) {
-            return { optimized: false };
-        }
+    optimizePipelineSequence(pipeline, options = {}, context = this.createContext(options), basePath = ['$']) {
+        // Stage paths and names for reasons, e.g. $[0] $addFields
+        const describe = index => `${context.withPath([...basePath, index], () => context.currentPath())} ${Object.keys(pipeline[index])[0]}`;
+        const matchIndexes = [];
+        // Stages the hoisted $match and $sort stages move past, with the fields they change
+        const passed = [];
+        let sortIndex = null;
+        let sortSeen = false;
+        let nextIndex = 0;
 
-        // Look ahead for optimizable stages
-        let sortStage = null;
-        let limitStage = null;
-        let skipStage = null;
-        let projectStage = null;
-        let currentIndex = startIndex + 1;
-        const remainingStages = [];
-        
-        // Scan subsequent stages
-        while (currentIndex < pipeline.length) {
-            const stage = pipeline[currentIndex];
-            
-            if (stage.$sort && !sortStage) {
-                sortStage = stage;
-            } else if (stage.$limit && !limitStage) {
-                limitStage = stage;
-            } else if (stage.$skip && !skipStage) {
-                skipStage = stage;
-            } else if (stage.$project && !projectStage && options.includeProjection) {
-                projectStage = stage;
+        for (; nextIndex < pipeline.length; nextIndex++) {
+            const stage = pipeline[nextIndex];
+            const reason = stage.$match
+                ? this.findHoistBlocker(this.collectQueryPaths(stage.$match), passed)
+                : stage.$sort && !sortSeen
+                    ? this.findHoistBlocker(Object.keys(stage.$sort), passed)
+                    : undefined;
+
+            if (stage.$match && reason === null) {
+                matchIndexes.push(nextIndex);
+            } else if (stage.$sort && !sortSeen && reason === null) {
+                sortIndex = nextIndex;
+                sortSeen = true;
             } else {
-                // Hit a stage we can't optimize, stop here
-                remainingStages.push(...pipeline.slice(currentIndex));
-                break;
+                const effect = this.getStageFieldEffect(stage);
+                if (!effect) {
+                    break;
+                }
+                if (stage.$match) {
+                    this.reportMatchNotHoisted(context, [...basePath, nextIndex], reason);
+                }
+                // A later $sort can't overtake one left in place
+                sortSeen = sortSeen || Boolean(stage.$sort);
+                passed.push({ index: nextIndex, stage: describe(nextIndex), effect });
             }
-            
-            currentIndex++;
         }
-        
-        // Create optimized search stage (only with sort, not limit/skip)
-        const searchStage = this.convertQueryToSearchWithOptions(matchStage.$match, {
-            sort: sortStage?.$sort
+
+        // $match stages after the stage that stopped the scan stay where they are
+        pipeline.forEach((stage, index) => {
+            if (index > nextIndex && stage.$match) {
+                this.reportMatchNotHoisted(context, [...basePath, index], `${describe(nextIndex)} can't be moved past`);
+            }
         });
-        
-        // Add limit and skip as separate stages after $search
-        if (skipStage) {
-            remainingStages.unshift({ $skip: skipStage.$skip });
-        }
-        if (limitStage) {
-            remainingStages.unshift({ $limit: limitStage.$limit });
+
+        if (matchIndexes.length === 0) {
+            return { optimized: false };
         }
-        
-        // Add projection as separate stage if found and not included in search
-        if (projectStage && !options.includeProjection) {
-            remainingStages.unshift(projectStage);
+
+        const clauses = matchIndexes.flatMap(index =>
+            context.withPath([...basePath, index, '$match'], () => this.convertQuery(pipeline[index].$match, context)));
+        const searchStage = this.createSearchStage(clauses, context);
+        const searchSort = sortIndex !== null &&
+            context.withPath([...basePath, sortIndex, '$sort'], () => this.convertSortToAtlasSearch(pipeline[sortIndex].$sort, context));
+        if (searchSort) {
+            searchStage.$search.sort = searchSort;
         }
-        
+
+        // A sort $search can't express runs before the stages it was moved past
+        const sortStages = sortIndex !== null && !searchSort ? [pipeline[sortIndex]] : [];
+        const remainingStages = [
+            ...this.createResidualStages(context),
+            ...sortStages,
+            ...passed.map(({ index }) => pipeline[index]),
+            ...pipeline.slice(nextIndex)
+        ];
+
         return {
             optimized: true,
             searchStage,
             remainingStages,
-            nextIndex: currentIndex
+            clauseCount: clauses.length
         };
     }
 
     /**
-     * Convert MQL query to $search with additional options like sort and limit
-     * @param {Object} query - MQL query object
-     * @param {Object} options - Additional search options (sort, limit, skip)
-     * @returns {Object} - $search aggregation stage with options
+     * Record a $match stage that can't be moved to the front of the pipeline
+     * @param {ConversionContext} context - Conversion context
+     * @param {Array} stagePath - Path segments of the $match stage
+     * @param {string} reason - Why the stage stays in place
      */
-    convertQueryToSearchWithOptions(query, options = {}) {
-        const baseSearch = this.convertQueryToSearch(query);
-        
-        // Add sort to $search stage if provided
-        if (options.sort) {
-            // Convert MongoDB sort to Atlas Search sort
-            const searchSort = this.convertSortToAtlasSearch(options.sort);
-            if (searchSort) {
-                baseSearch.$search.sort = searchSort;
-            }
-        }
-        
-        // Note: limit and skip are NOT supported as direct $search properties
-        // They should be handled as separate pipeline stages
-        // This method only handles the $search stage optimization
-        
-        return baseSearch;
+    reportMatchNotHoisted(context, stagePath, reason) {
+        const stage = context.withPath(stagePath, () => context.currentPath());
+        context.withPath([...stagePath, '$match'], () => this.addWarning(context, {
+            code: 'MATCH_NOT_HOISTED',
+            message: `$match at ${stage} is left in place: ${reason}`,
+            fidelity: 'exact'
+        }, true));
     }
-    
+
     /**
-     * Convert MongoDB sort specification to Atlas Search sort
-     * @param {Object} sortSpec - MongoDB sort specification
-     * @returns {Object|null} - Atlas Search sort specification or null if not convertible
+     * Find the first passed stage that changes a field a $match or $sort reads
+     * @param {Array<string>|null} paths - Field paths read, or null when any field may be read
+     * @param {Array<Object>} passed - Stages moved past so far: { index, stage, effect }, where
+     *                                  stage describes the stage for reasons
+     * @returns {string|null} - Why the stage can't be moved, or null when it can
      */
-    convertSortToAtlasSearch(sortSpec) {
-        if (!sortSpec || typeof sortSpec !== 'object') {
-            return null;
+    findHoistBlocker(paths, passed) {
+        if (paths === null) {
+            return passed.length === 0 ? null : 'it may read any field';
         }
-        
-        // Atlas Search sort format: { "<field>": { "order": 1|-1 } }
-        const searchSort = {};
-        
-        for (const [field, direction] of Object.entries(sortSpec)) {
-            if (typeof direction === 'number') {
-                searchSort[field] = {
-                    order: direction
-                };
-            } else {
-                // Can't convert complex sort specifications
-                console.warn(`Warning: Complex sort field '${field}' with value '${direction}' cannot be converted to Atlas Search sort`);
-                return null;
+
+        const overlaps = (path, other) => path === other || path.startsWith(`${other}.`) || other.startsWith(`${path}.`);
+        for (const { stage, effect } of passed) {
+            for (const path of paths) {
+                const changed = effect.changed.find(other => overlaps(path, other));
+                if (changed) {
+                    return `${stage} changes '${changed}'`;
+                }
+                // Inclusion projections drop every field they don't keep
+                if (effect.kept && !effect.kept.some(kept => path === kept || path.startsWith(`${kept}.`))) {
+                    return `${stage} doesn't keep '${path}' as it is`;
+                }
             }
         }
-        
-        return Object.keys(searchSort).length > 0 ? searchSort : null;
+        return null;
     }
 
     /**
-     * Convert MQL query object to $search stage
-     * @param {Object} query - MQL query object
-     * @returns {Object} - $search aggregation stage
+     * Describe which fields a stage changes, for moving $match and $sort stages past it
+     * @param {Object} stage - Aggregation stage
+     * @returns {Object|null} - { changed: Array<string>, kept: Array<string>|null } where kept
+     *                          lists the only fields an inclusion projection keeps, or null
+     *                          when filters and sorts can't be moved past the stage
      */
-    convertQueryToSearch(query) {
-        if (Object.keys(query).length === 0) {
-            // Empty query - match all documents
-            return {
-                $search: {
-                    index: this.indexName,
-                    exists: { path: '_id' }
-                }
-            };
-        }
+    getStageFieldEffect(stage) {
+        const [name, spec] = Object.entries(stage)[0] || [];
+        switch (name) {
+            case '$match':
+            case '$sort':
+                return { changed: [], kept: null };
 
-        const searchClauses = this.convertQuery(query);
-        
-        if (searchClauses.length === 0) {
-            // No valid clauses generated (e.g., all operators were unsupported)
-            // Return a match-all query
-            return {
-                $search: {
-                    index: this.indexName,
-                    exists: { path: '_id' }
+            case '$addFields':
+            case '$set':
+                return { changed: this.flattenStageSpec(spec).map(([path]) => path), kept: null };
+
+            case '$unset':
+                return { changed: [].concat(spec), kept: null };
+
+            case '$unwind': {
+                const { path, includeArrayIndex } = typeof spec === 'string' ? { path: spec } : (spec || {});
+                if (typeof path !== 'string') {
+                    return null;
+                }
+                return { changed: [path.replace(/^\$/, ''), ...(includeArrayIndex ? [includeArrayIndex] : [])], kept: null };
+            }
+
+            case '$project': {
+                const entries = this.flattenStageSpec(spec);
+                const isExclusion = value => value === 0 || value === false;
+                const isInclusion = value => value === true || (typeof value === 'number' && value !== 0);
+                const inclusive = entries.some(([path, value]) => path !== '_id' && !isExclusion(value));
+                if (!inclusive) {
+                    return { changed: entries.map(([path]) => path), kept: null };
+                }
+                const idEntry = entries.find(([path]) => path === '_id');
+                return {
+                    changed: entries.filter(([, value]) => !isInclusion(value)).map(([path]) => path),
+                    kept: [
+                        ...entries.filter(([, value]) => isInclusion(value)).map(([path]) => path),
+                        ...(idEntry ? [] : ['_id'])
+                    ]
+                };
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Flatten the field specification of $addFields, $set or $project to dotted paths
+     * Embedded documents without operators are specifications of their sub-fields
+     * @param {Object} spec - Stage specification
+     * @param {string} prefix - Path of the enclosing document
+     * @returns {Array} - [path, value] pairs
+     */
+    flattenStageSpec(spec, prefix = '') {
+        return Object.entries(spec).flatMap(([key, value]) => {
+            const path = `${prefix}${key}`;
+            const isDocument = value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) &&
+                Object.keys(value).length > 0 && Object.keys(value).every(subKey => !subKey.startsWith('$'));
+            return isDocument ? this.flattenStageSpec(value, `${path}.`) : [[path, value]];
+        });
+    }
+
+    /**
+     * List the field paths an MQL query reads
+     * @param {Object} query - MQL query object
+     * @returns {Array<string>|null} - Field paths, or null when the query may read any field
+     *                                 ($where, $text, $jsonSchema, $$ROOT in $expr)
+     */
+    collectQueryPaths(query) {
+        const paths = [];
+        for (const [key, value] of Object.entries(query)) {
+            if (!key.startsWith('$')) {
+                paths.push(key);
+            } else if (['$and', '$or', '$nor'].includes(key) && Array.isArray(value)) {
+                for (const subquery of value) {
+                    const subpaths = this.collectQueryPaths(subquery || {});
+                    if (subpaths === null) {
+                        return null;
+                    }
+                    paths.push(...subpaths);
+                }
+            } else if (key === '$expr') {
+                if (!this.collectExpressionPaths(value, paths)) {
+                    return null;
+                }
+            } else if (key !== '$comment') {
+                return null;
+            }
+        }
+        return paths;
+    }
+
+    /**
+     * Add the field paths an aggregation expression reads ('$price' reads price)
+     * $getField, $setField and $unsetField on the current document read their named field
+     * @param {*} expr - Aggregation expression
+     * @param {Array<string>} paths - Paths found so far; new ones are appended
+     * @returns {boolean} - False when the expression reads the whole document ($$ROOT, $$CURRENT)
+     *                      or a field whose name isn't a constant
+     */
+    collectExpressionPaths(expr, paths) {
+        if (typeof expr === 'string') {
+            if (/^\$\$(ROOT|CURRENT)(\.|$)/.test(expr)) {
+                return false;
+            }
+            // Other $$ variables don't read the document directly
+            if (expr.startsWith('$') && !expr.startsWith('$$')) {
+                paths.push(expr.slice(1));
+            }
+            return true;
+        }
+        if (Array.isArray(expr)) {
+            return expr.every(item => this.collectExpressionPaths(item, paths));
+        }
+        if (expr && typeof expr === 'object' && !(expr instanceof Date) && !(expr instanceof RegExp)) {
+            return Object.entries(expr).every(([key, value]) => {
+                if (['$getField', '$setField', '$unsetField'].includes(key)) {
+                    return this.collectFieldExpressionPaths(key, value, paths);
+                }
+                return key === '$literal' || this.collectExpressionPaths(value, paths);
+            });
+        }
+        return true;
+    }
+
+    /**
+     * Add the field paths a $getField, $setField or $unsetField expression reads
+     * The field is read from its input, the current document when there is none (see collectExpressionPaths)
+     * @param {string} operator - '$getField', '$setField' or '$unsetField'
+     * @param {string|Object} spec - Field name ($getField only) or { field, input, value }
+     * @param {Array<string>} paths - Paths found so far; new ones are appended
+     * @returns {boolean} - False when the field name isn't a constant or the input is the whole document
+     */
+    collectFieldExpressionPaths(operator, spec, paths) {
+        // { $getField: 'price' } is short for { $getField: { field: 'price' } }
+        const { field, input = '$$CURRENT', ...rest } = typeof spec === 'string' ? { field: spec } : spec || {};
+        const isLiteral = field && typeof field === 'object' && Object.keys(field).length === 1 && '$literal' in field;
+        const name = isLiteral ? field.$literal : field;
+        if (typeof name !== 'string' || (!isLiteral && name.startsWith('$'))) {
+            return false;
+        }
+
+        if (operator === '$getField' && ['$$CURRENT', '$$ROOT'].includes(input)) {
+            paths.push(name);
+            return true;
+        }
+        return this.collectExpressionPaths(input, paths) && this.collectExpressionPaths(Object.values(rest), paths);
+    }
+
+    /**
+     * Convert MQL query to $search with additional options like sort and limit
+     * @param {Object} query - MQL query object
+     * @param {Object} options - Additional search options (sort, report)
+     * @param {Object|ConversionContext} context - Conversion options or the caller's context
+     * @returns {Object} - $search aggregation stage with options, or { result, report } when options.report is true
+     */
+    convertQueryToSearchWithOptions(query, options = {}, context = this.createContext(options)) {
+        const baseSearch = this.convertQueryToSearch(query, context);
+        
+        // Add sort to $search stage if provided
+        if (options.sort) {
+            // Convert MongoDB sort to Atlas Search sort
+            const searchSort = context.withPath(['sort'], () => this.convertSortToAtlasSearch(options.sort, context));
+            if (searchSort) {
+                baseSearch.$search.sort = searchSort;
+            }
+        }
+        
+        // Note: limit and skip are NOT supported as direct $search properties
+        // They should be handled as separate pipeline stages
+        // This method only handles the $search stage optimization
+        
+        return this.withReport(baseSearch, options, context);
+    }
+    
+    /**
+     * Convert MongoDB sort specification to Atlas Search sort
+     * @param {Object} sortSpec - MongoDB sort specification
+     * @param {Object|ConversionContext} options - Conversion options (report) or the caller's context
+     * @returns {Object|null} - Atlas Search sort specification or null if not convertible, or { result, report } when options.report is true
+     */
+    convertSortToAtlasSearch(sortSpec, options = {}) {
+        const context = this.createContext(options);
+
+        if (!sortSpec || typeof sortSpec !== 'object') {
+            return this.withReport(null, options, context);
+        }
+        
+        // Atlas Search sort format: { "<field>": { "order": 1|-1 } }
+        const searchSort = {};
+        
+        for (const [field, direction] of Object.entries(sortSpec)) {
+            if (typeof direction === 'object' && direction !== null && ['textScore', 'searchScore'].includes(direction.$meta)) {
+                // Relevance sort; $text scores become Atlas Search scores
+                searchSort[field] = { $meta: 'searchScore' };
+            } else if (typeof direction === 'number') {
+                if (!this.isSortableField(field)) {
+                    // Strings only sort when mapped as token; callers fall back to a $sort stage
+                    context.at(field, () => this.addWarning(context, {
+                        code: 'UNSORTABLE_FIELD',
+                        message: `Warning: Sort field '${field}' is not indexed as a sortable type; sorting with a $sort stage instead`,
+                        fidelity: 'exact'
+                    }));
+                    return this.withReport(null, options, context);
+                }
+                searchSort[field] = {
+                    order: direction
+                };
+            } else {
+                // Can't convert complex sort specifications; callers fall back to a $sort stage
+                context.at(field, () => this.addWarning(context, {
+                    code: 'COMPLEX_SORT',
+                    message: `Warning: Complex sort field '${field}' with value '${JSON.stringify(direction)}' cannot be converted to Atlas Search sort; sorting with a $sort stage instead`,
+                    fidelity: 'exact'
+                }));
+                return this.withReport(null, options, context);
+            }
+        }
+        
+        return this.withReport(Object.keys(searchSort).length > 0 ? searchSort : null, options, context);
+    }
+
+    /**
+     * Convert MQL query object to $search stage
+     * Predicates Atlas Search cannot express are left out of the stage and collected in
+     * context.residuals; callers must apply them with createResidualStages()
+     * @param {Object} query - MQL query object
+     * @param {Object|ConversionContext} options - Conversion options (split, report) or the caller's context
+     * @returns {Object} - $search aggregation stage, or { result, report } when options.report is true
+     */
+    convertQueryToSearch(query, options = {}) {
+        const context = this.createContext(options);
+        return this.withReport(this.buildSearchStage(query, context), options, context);
+    }
+
+    /**
+     * Build the $search stage for a query (see convertQueryToSearch)
+     * @param {Object} query - MQL query object
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Object} - $search aggregation stage
+     */
+    buildSearchStage(query, context) {
+        return this.createSearchStage(this.convertQuery(query, context), context);
+    }
+
+    /**
+     * Build the $search stage for the top-level clauses of one or more queries
+     * @param {Array} searchClauses - Atlas Search clauses, combined as a conjunction
+     * @param {ConversionContext} context - Context used to convert the clauses
+     * @returns {Object} - $search aggregation stage
+     */
+    createSearchStage(searchClauses, context) {
+        // $text ranks its matches, so its clauses score unless the caller chose which clauses do
+        const scoring = context.textSearch && context.scoring === 'filter' ? { text: true } : context.scoring;
+        
+        if (searchClauses.length === 0) {
+            // Empty query, or no valid clauses generated (e.g., all operators were unsupported)
+            // Return a match-all query
+            return {
+                $search: {
+                    index: this.indexName,
+                    exists: { path: '_id' }
                 }
             };
         } else if (searchClauses.length === 1) {
             return {
                 $search: {
                     index: this.indexName,
-                    ...searchClauses[0]
+                    ...this.applyScoringPolicy(this.optimizeClause(searchClauses[0]), scoring)
                 }
             };
         } else if (searchClauses.length > 1) {
             return {
                 $search: {
                     index: this.indexName,
-                    compound: {
-                        must: searchClauses
-                    }
+                    ...this.applyScoringPolicy(this.optimizeClause({
+                        compound: {
+                            must: searchClauses
+                        }
+                    }), scoring)
                 }
             };
         }
@@ -281,317 +993,2314 @@ class MQLToAtlasSearchConverter {
         throw new Error('Unable to convert query to Atlas Search');
     }
 
+    /**
+     * Build the trailing $match stage for residual predicates
+     * @param {ConversionContext} context - Context used for the conversion
+     * @returns {Array} - Empty array or a single $match stage
+     */
+    createResidualStages(context) {
+        if (context.residuals.length === 0) {
+            return [];
+        }
+
+        const match = context.residuals.length === 1
+            ? context.residuals[0]
+            : { $and: context.residuals };
+
+        context.appliedResiduals.push(...context.residuals);
+        context.residuals = [];
+
+        return [{ $match: match }];
+    }
+
+    /**
+     * Record an MQL predicate that Atlas Search cannot express
+     * Top-level predicates go to the residual $match as-is; below the top level the
+     * enclosing top-level conjunct is moved to the residual $match instead
+     * @param {ConversionContext} context - Conversion context
+     * @param {Object} predicate - MQL predicate, e.g. { qty: { $mod: [2, 0] } }
+     */
+    addResidual(context, predicate) {
+        if (context.depth > 0) {
+            context.nestedResidual = true;
+        } else {
+            context.residuals.push(predicate);
+        }
+    }
+
+    /**
+     * Handle a predicate that Atlas Search can only approximate
+     * In split mode the exact predicate is added to the residual $match; otherwise the
+     * approximation is used as-is and a warning is recorded
+     * @param {ConversionContext} context - Conversion context
+     * @param {Object} predicate - Original MQL predicate
+     * @param {Array} clauses - Approximating Atlas Search clauses
+     * @param {Object} options - code: warning code; superset: whether the clauses match every document the predicate matches; message: warning text
+     * @returns {Array} - Clauses to use in $search
+     */
+    approximate(context, predicate, clauses, { code, superset, message }) {
+        if (context.split) {
+            this.addResidual(context, predicate);
+            this.addWarning(context, { code, message, fidelity: 'exact' }, true);
+
+            // Clauses that may drop matching documents can't be kept in front of the residual $match
+            return superset ? clauses : [];
+        }
+
+        // Under $not or $nor, extra matches for the inner predicate become missing results
+        const addsDocuments = superset !== context.negated;
+        this.addWarning(context, { code, message, fidelity: addsDocuments ? 'superset' : 'subset' });
+        return clauses;
+    }
+
     /**
      * Convert query recursively
      * @param {Object} query - Query object or subquery
+     * @param {ConversionContext} context - Conversion context
      * @returns {Array} - Array of Atlas Search clauses
      */
-    convertQuery(query) {
+    convertQuery(query, context = this.createContext()) {
         const clauses = [];
 
         for (const [field, value] of Object.entries(query)) {
-            if (field.startsWith('$')) {
-                // Handle logical operators
-                clauses.push(...this.convertLogicalOperator(field, value));
-            } else {
-                // Handle field queries
-                clauses.push(...this.convertFieldQuery(field, value));
+            const topLevel = context.depth === 0;
+            const residualCount = context.residuals.length;
+            if (topLevel) {
+                context.nestedResidual = false;
+            }
+
+            const entryClauses = context.at(field, () => {
+                if (field.startsWith('$')) {
+                    // Handle logical operators
+                    return this.convertLogicalOperator(field, value, context);
+                }
+                // Handle field queries (relative to the array path inside $elemMatch)
+                const path = context.fieldPrefix ? `${context.fieldPrefix}.${field}` : field;
+                return this.convertFieldQuery(path, value, context);
+            });
+
+            if (topLevel && context.nestedResidual) {
+                // Part of this conjunct can't be expressed; dropping only that part could
+                // change the results, so the whole conjunct is evaluated by $match
+                context.residuals.splice(residualCount);
+                context.residuals.push({ [field]: value });
+                context.nestedResidual = false;
+                continue;
             }
+
+            clauses.push(...entryClauses);
         }
 
         return clauses;
     }
 
+    /**
+     * Convert subqueries one logical level below the current one
+     * @param {Array} subQueries - Subquery objects
+     * @param {ConversionContext} context - Conversion context
+     * @param {boolean} negate - Whether the subqueries are negated ($nor)
+     * @returns {Array} - One Atlas Search clause per subquery
+     */
+    convertNestedQueries(subQueries, context, negate = false) {
+        return this.convertNested(context, negate, () => subQueries.map((subQuery, index) =>
+            context.at(index, () => this.createConjunction(this.convertQuery(subQuery, context), context))
+        ));
+    }
+
+    /**
+     * Combine the clauses of one subquery into a single clause that requires all of them
+     * No clauses means nothing is left to check, so the subquery matches every document
+     * @param {Array} clauses - Atlas Search clauses
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Object} - Atlas Search clause
+     */
+    createConjunction(clauses, context) {
+        if (clauses.length === 0) {
+            return this.createMatchAllClause(context);
+        }
+
+        return clauses.length === 1 ? clauses[0] : {
+            compound: {
+                must: clauses
+            }
+        };
+    }
+
+    /**
+     * Check the argument of $and, $or or $nor, which MQL requires to be a non-empty
+     * array of query objects
+     * @param {string} operator - Logical operator
+     * @param {*} value - Operator value
+     * @param {ConversionContext} context - Conversion context
+     * @throws {InvalidQueryError} - When the argument is not a non-empty array of objects
+     */
+    validateSubQueries(operator, value, context) {
+        if (!Array.isArray(value)) {
+            throw this.createConversionError('INVALID_ARGUMENT', `${operator} must be an array`, context.currentPath());
+        }
+
+        if (value.length === 0) {
+            throw this.createConversionError('INVALID_ARGUMENT', `${operator} must be a nonempty array`, context.currentPath());
+        }
+
+        value.forEach((subQuery, index) => {
+            if (typeof subQuery !== 'object' || subQuery === null || Array.isArray(subQuery) || subQuery instanceof RegExp) {
+                context.at(index, () => {
+                    throw this.createConversionError('INVALID_ARGUMENT', `${operator} entries must be query objects`, context.currentPath());
+                });
+            }
+        });
+    }
+
+    /**
+     * Run a conversion step one logical level below the current one
+     * @param {ConversionContext} context - Conversion context
+     * @param {boolean} negate - Whether the step is negated ($not, $nor)
+     * @param {Function} fn - Conversion step
+     * @returns {*} - Result of fn
+     */
+    convertNested(context, negate, fn) {
+        const negated = context.negated;
+        context.depth++;
+        context.negated = negate ? !negated : negated;
+        try {
+            return fn();
+        } finally {
+            context.depth--;
+            context.negated = negated;
+        }
+    }
+
     /**
      * Convert logical operators ($and, $or, $nor, $not)
      * @param {string} operator - Logical operator
      * @param {*} value - Operator value
+     * @param {ConversionContext} context - Conversion context
      * @returns {Array} - Array of Atlas Search clauses
      */
-    convertLogicalOperator(operator, value) {
+    convertLogicalOperator(operator, value, context = this.createContext()) {
+        if (['$and', '$or', '$nor'].includes(operator)) {
+            this.validateSubQueries(operator, value, context);
+        }
+
         switch (operator) {
             case '$and':
+                // $and members are conjuncts of the enclosing query, so they stay at its level
                 return [{
                     compound: {
-                        must: value.flatMap(subQuery => this.convertQuery(subQuery))
+                        must: value.flatMap((subQuery, index) => context.at(index, () => this.convertQuery(subQuery, context)))
                     }
                 }];
 
             case '$or':
+                if (value.length === 1) {
+                    // A single alternative is a conjunct of the enclosing query, like $and
+                    return context.at(0, () => this.convertQuery(value[0], context));
+                }
                 return [{
                     compound: {
-                        should: value.flatMap(subQuery => this.convertQuery(subQuery)),
+                        should: this.convertNestedQueries(value, context),
                         minimumShouldMatch: 1
                     }
                 }];
 
             case '$nor':
-                return [{
-                    compound: {
-                        mustNot: value.flatMap(subQuery => this.convertQuery(subQuery))
-                    }
-                }];
+                return [this.createNotClause(this.convertNestedQueries(value, context, true), context)];
 
             case '$not':
-                // $not is typically used with field operators, handle at field level
-                throw new Error('$not operator should be handled at field level');
+                // MQL only accepts $not on a field; negating a whole query is $nor
+                throw this.createConversionError('TOP_LEVEL_NOT', '$not is not a top-level operator; use { field: { $not: ... } } or $nor', context.currentPath());
+
+            case '$expr':
+                return this.convertExpr(value, context);
+
+            case '$text':
+                return [this.convertText(value, context)];
 
             default:
-                throw new Error(`Unsupported logical operator: ${operator}`);
+                if (context.split) {
+                    this.addResidual(context, { [operator]: value });
+                    this.addWarning(context, {
+                        code: 'UNSUPPORTED_LOGICAL_OPERATOR',
+                        message: `Unsupported logical operator: ${operator} - evaluated by $match`,
+                        fidelity: 'exact'
+                    }, true);
+                    return [];
+                }
+                throw this.createConversionError('UNSUPPORTED_LOGICAL_OPERATOR', `Unsupported logical operator: ${operator}`, context.currentPath());
         }
     }
 
     /**
-     * Convert field-level queries
-     * @param {string} field - Field name
-     * @param {*} value - Field value or query object
-     * @returns {Array} - Array of Atlas Search clauses
+     * Convert a $text query to text, phrase and mustNot clauses on the configured text paths
+     * Like $text, a document must contain every phrase and, without phrases, any of the
+     * terms; negated terms and phrases exclude documents. Stemming and stop words follow
+     * the analyzers of the index rather than $language
+     * @param {Object} spec - { $search, $language, $caseSensitive, $diacriticSensitive }
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Object} - Atlas Search clause
      */
-    convertFieldQuery(field, value) {
-        if (value === null) {
-            // Null equality - need to match both explicit null values and missing fields
-            // In Atlas Search, we need to use compound query:
-            // 1. Documents where field equals null, OR
-            // 2. Documents where field doesn't exist
-            return [{
+    convertText(spec, context) {
+        if (typeof spec !== 'object' || spec === null || typeof spec.$search !== 'string') {
+            throw this.createConversionError('INVALID_ARGUMENT', '$text needs a $search string', context.currentPath());
+        }
+
+        context.textSearch = true;
+        for (const option of ['$caseSensitive', '$diacriticSensitive']) {
+            if (spec[option]) {
+                // Atlas Search matches case and diacritics as the index analyzer does
+                context.at(option, () => this.addWarning(context, {
+                    code: 'TEXT_SEARCH_OPTION',
+                    message: `Warning: ${option} is not supported by the Atlas Search text operator; matching follows the index analyzer. Query may return additional results.`,
+                    fidelity: context.negated ? 'subset' : 'superset'
+                }));
+            }
+        }
+
+        const { terms, negatedTerms, phrases, negatedPhrases } = this.parseTextSearch(spec.$search);
+        const path = this.textPaths;
+        const must = phrases.map(phrase => ({ phrase: { query: phrase, path } }));
+        const should = [];
+        if (terms.length > 0) {
+            // With phrases, the terms only contribute to the score
+            (phrases.length > 0 ? should : must).push({ text: { query: terms.join(' '), path } });
+        }
+        const mustNot = negatedPhrases.map(phrase => ({ phrase: { query: phrase, path } }));
+        if (negatedTerms.length > 0) {
+            mustNot.unshift({ text: { query: negatedTerms.join(' '), path } });
+        }
+
+        if (must.length === 0) {
+            // $text with only negated terms (or none) matches no documents
+            return {
                 compound: {
-                    should: [
-                        // Match explicit null values
-                        {
-                            equals: {
-                                path: field,
-                                value: null
-                            }
-                        },
-                        // Match missing fields
-                        {
-                            compound: {
-                                mustNot: [{
-                                    exists: { path: field }
-                                }]
-                            }
+                    must: [{ exists: { path: '_id' } }],
+                    mustNot: [{ exists: { path: '_id' } }]
+                }
+            };
+        }
+
+        const compound = { must };
+        if (should.length > 0) {
+            compound.should = should;
+        }
+        if (mustNot.length > 0) {
+            compound.mustNot = mustNot;
+        }
+        return { compound };
+    }
+
+    /**
+     * Split a $text search string into terms and phrases
+     * Quoted strings are phrases (an unterminated quote runs to the end); a leading '-'
+     * negates a term or phrase
+     * @param {string} search - $text $search string
+     * @returns {Object} - { terms, negatedTerms, phrases, negatedPhrases }
+     */
+    parseTextSearch(search) {
+        const parsed = { terms: [], negatedTerms: [], phrases: [], negatedPhrases: [] };
+        const tokenPattern = /(-?)"([^"]*)"?|(-?)([^\s"]+)/g;
+        let match;
+        while ((match = tokenPattern.exec(search)) !== null) {
+            if (match[2] !== undefined) {
+                const phrase = match[2].trim();
+                if (phrase) {
+                    parsed[match[1] ? 'negatedPhrases' : 'phrases'].push(phrase);
+                }
+            } else if (match[4] !== '-') {
+                parsed[match[3] ? 'negatedTerms' : 'terms'].push(match[4]);
+            }
+        }
+        return parsed;
+    }
+
+    /**
+     * Replace { $meta: 'textScore' } with { $meta: 'searchScore' } in a projection, sort or stage
+     * @param {*} value - Stage or stage argument
+     * @returns {*} - Value with textScore replaced
+     */
+    convertTextScoreMeta(value) {
+        if (Array.isArray(value)) {
+            return value.map(element => this.convertTextScoreMeta(element));
+        }
+
+        if (typeof value !== 'object' || value === null || Object.getPrototypeOf(value) !== Object.prototype) {
+            return value;
+        }
+
+        if (value.$meta === 'textScore' && Object.keys(value).length === 1) {
+            return { $meta: 'searchScore' };
+        }
+
+        return Object.fromEntries(Object.entries(value).map(([key, element]) => [key, this.convertTextScoreMeta(element)]));
+    }
+
+    /**
+     * Convert an $expr aggregation expression
+     * Comparisons of a field path with a constant ($eq, $ne, $gt, $gte, $lt, $lte, $in) and
+     * $and, $or and $not of them are converted; any other expression (field-to-field
+     * comparisons, computed values, variables) is evaluated by the residual $match.
+     * Unlike query operators, $expr compares arrays as a whole and orders values of
+     * different types, so the conversion assumes the field holds scalars of the constant's type
+     * @param {*} expr - Aggregation expression
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Array} - Array of Atlas Search clauses
+     */
+    convertExpr(expr, context) {
+        const operator = typeof expr === 'object' && expr !== null && !Array.isArray(expr) && Object.keys(expr).length === 1
+            ? Object.keys(expr)[0]
+            : null;
+        const args = operator ? expr[operator] : null;
+
+        switch (operator) {
+            case '$and':
+                if (Array.isArray(args) && args.length > 0) {
+                    // Members are conjuncts of the enclosing query, so each one can go to the residual $match alone
+                    return context.at(operator, () => args.flatMap((member, index) => context.at(index, () => this.convertExpr(member, context))));
+                }
+                break;
+
+            case '$or':
+                if (Array.isArray(args) && args.length > 0) {
+                    const should = context.at(operator, () => this.convertNested(context, false, () => args.map((member, index) =>
+                        context.at(index, () => this.createConjunction(this.convertExpr(member, context), context)))));
+                    return [should.length === 1 ? should[0] : {
+                        compound: {
+                            should: should,
+                            minimumShouldMatch: 1
                         }
-                    ],
-                    minimumShouldMatch: 1
+                    }];
                 }
-            }];
+                break;
+
+            case '$not': {
+                // $not takes its expression alone or in a one-element array
+                const negated = Array.isArray(args) ? (args.length === 1 ? args[0] : undefined) : args;
+                if (negated !== undefined) {
+                    const clauses = context.at(operator, () => this.convertNested(context, true, () => this.convertExpr(negated, context)));
+                    return [this.createNotClause([this.createConjunction(clauses, context)], context)];
+                }
+                break;
+            }
+
+            case '$eq':
+            case '$ne':
+            case '$gt':
+            case '$gte':
+            case '$lt':
+            case '$lte':
+            case '$in': {
+                const clause = context.at(operator, () => this.convertExprComparison(operator, args, context));
+                if (clause) {
+                    return [clause];
+                }
+                break;
+            }
+        }
+
+        this.addResidual(context, { $expr: expr });
+        return [];
+    }
+
+    /**
+     * Convert an $expr comparison of a field path with a constant (see convertExpr)
+     * Aggregation comparisons order null and missing values below every other value, and
+     * $eq/$in with null don't match missing fields
+     * @param {string} operator - $eq, $ne, $gt, $gte, $lt, $lte or $in
+     * @param {*} args - Comparison arguments
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Object|null} - Atlas Search clause, or null if the comparison isn't field-to-constant
+     */
+    convertExprComparison(operator, args, context) {
+        if (!Array.isArray(args) || args.length !== 2) {
+            return null;
+        }
+
+        const isFieldPath = arg => typeof arg === 'string' && arg.startsWith('$') && !arg.startsWith('$$');
+        const isConstant = arg => {
+            if (typeof arg === 'string') {
+                return !arg.startsWith('$');
+            }
+            if (Array.isArray(arg)) {
+                return arg.every(isConstant);
+            }
+            if (typeof arg === 'object' && arg !== null && Object.getPrototypeOf(arg) === Object.prototype) {
+                return Object.keys(arg).length === 1 && '$literal' in arg;
+            }
+            return true;
+        };
+        const constantValue = arg => Array.isArray(arg)
+            ? arg.map(constantValue)
+            : (typeof arg === 'object' && arg !== null && Object.getPrototypeOf(arg) === Object.prototype ? arg.$literal : arg);
+        const isScalar = value => !Array.isArray(value) &&
+            !(typeof value === 'object' && value !== null && Object.getPrototypeOf(value) === Object.prototype);
+
+        // { $gt: [100, '$price'] } is { $lt: ['$price', 100] }
+        const flipped = { $eq: '$eq', $ne: '$ne', $gt: '$lt', $gte: '$lte', $lt: '$gt', $lte: '$gte' };
+        let [fieldArg, constantArg] = args;
+        if (!isFieldPath(fieldArg) && operator !== '$in' && isFieldPath(constantArg)) {
+            [constantArg, fieldArg] = args;
+            operator = flipped[operator];
+        }
+
+        if (!isFieldPath(fieldArg) || !isConstant(constantArg)) {
+            return null;
+        }
+
+        const field = fieldArg.slice(1);
+        const value = constantValue(constantArg);
+
+        switch (operator) {
+            case '$eq':
+                if (value === null) {
+                    return { equals: { path: field, value: null } };
+                }
+                return isScalar(value) ? this.createEqualsClause(field, value, context) : null;
+
+            case '$ne':
+                if (value === null) {
+                    return this.createNotClause([{ equals: { path: field, value: null } }], context);
+                }
+                return isScalar(value) ? this.createNotClause([this.createEqualsClause(field, value, context)], context) : null;
+
+            case '$gt':
+            case '$gte':
+                return value !== null && isScalar(value) ? this.createRangeClause(field, operator.slice(1), value, context) : null;
+
+            case '$lt':
+            case '$lte':
+                if (value === null || !isScalar(value)) {
+                    return null;
+                }
+                // Null and missing values are lower than any constant
+                return {
+                    compound: {
+                        should: [this.createRangeClause(field, operator.slice(1), value, context), this.createNullClause(field, context)],
+                        minimumShouldMatch: 1
+                    }
+                };
+
+            case '$in': {
+                if (!Array.isArray(value) || value.length === 0 || !value.every(isScalar)) {
+                    return null;
+                }
+                const others = value.filter(element => element !== null);
+                const should = [];
+                if (others.length > 0) {
+                    should.push(this.createInClause(field, others, context));
+                }
+                if (others.length < value.length) {
+                    should.push({ equals: { path: field, value: null } });
+                }
+                return should.length === 1 ? should[0] : {
+                    compound: {
+                        should: should,
+                        minimumShouldMatch: 1
+                    }
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Convert field-level queries
+     * @param {string} field - Field name
+     * @param {*} value - Field value or query object
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Array} - Array of Atlas Search clauses
+     */
+    convertFieldQuery(field, value, context = this.createContext()) {
+        if (value === null) {
+            // Null equality - need to match both explicit null values and missing fields
+            return [this.createNullClause(field, context)];
+        }
+
+        if (value instanceof RegExp) {
+            // { name: /^john/i } is a regex match, like $regex
+            return this.convertRegex(field, value, '', context);
+        }
+
+        if (typeof value === 'object' && value !== null && !Array.isArray(value) && !(value instanceof Date)) {
+            if (!Object.keys(value).some(key => key.startsWith('$'))) {
+                // Embedded document equality - equals doesn't accept documents
+                return this.approximate(context, { [field]: value }, [], {
+                    code: 'EMBEDDED_DOCUMENT_EQUALITY',
+                    superset: true,
+                    message: `Warning: Embedded document equality on '${field}' is not supported in Atlas Search - skipping`
+                });
+            }
+
+            // Query operators
+            return this.convertFieldOperators(field, value, context);
+        }
+
+        if (Array.isArray(value)) {
+            // Array value - this is exact array matching, not $in
+            // Note: Exact array matching is complex in Atlas Search
+            // Atlas Search equals operator doesn't support arrays as values
+            
+            if (value.length === 0) {
+                // Empty array matching - Atlas Search doesn't index empty arrays, so the
+                // closest match is documents without an indexed value for this field
+                return this.approximate(context, { [field]: value }, [this.createNotClause([{
+                    exists: { path: field }
+                }], context)], {
+                    code: 'EMPTY_ARRAY_MATCH',
+                    superset: true,
+                    message: `Warning: Empty array matching on '${field}' also matches documents without the field in Atlas Search. Query may return additional results.`
+                });
+            } else if (value.length === 1) {
+                // Single element array - just match that element
+                return this.approximate(context, { [field]: value }, [this.createEqualsClause(field, value[0], context)], {
+                    code: 'ARRAY_EXACT_MATCH',
+                    superset: true,
+                    message: `Warning: Exact array matching on '${field}' matches any array containing the element in Atlas Search. Query may return additional results.`
+                });
+            } else {
+                // Multiple element array - this is imperfect in Atlas Search
+                // We'll require ALL elements to be present (but may match more)
+                return this.approximate(context, { [field]: value }, [{
+                    compound: {
+                        must: this.convertArrayElements(field, value, context)
+                    }
+                }], {
+                    code: 'ARRAY_EXACT_MATCH',
+                    superset: true,
+                    message: `Warning: Exact array matching for multi-element arrays is not perfectly supported in Atlas Search. Query may return additional results.`
+                });
+            }
+        }
+
+        // Simple equality
+        return [this.createEqualsClause(field, value, context)];
+    }
+
+    /**
+     * Convert field operators ($eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists, $regex, etc.)
+     * @param {string} field - Field name
+     * @param {Object} operators - Operators object
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Array} - Array of Atlas Search clauses
+     */
+    convertFieldOperators(field, operators, context = this.createContext()) {
+        const clauses = [];
+
+        for (const [operator, value] of Object.entries(operators)) {
+            // Track the operator in the input path for warnings
+            context.path.push(operator);
+            try {
+                switch (operator) {
+                    case '$eq':
+                        // $eq: null matches null values and missing fields, like { field: null }
+                        clauses.push(value === null ? this.createNullClause(field, context) : this.createEqualsClause(field, value, context));
+                        break;
+
+                    case '$ne':
+                        if (value === null) {
+                            // The field exists and is not null
+                            this.resolveFieldTarget(field, 'exists', [], context);
+                            clauses.push({
+                                compound: {
+                                    filter: [{ exists: { path: field } }],
+                                    mustNot: [{ equals: { path: field, value: null } }]
+                                }
+                            });
+                            break;
+                        }
+
+                        // Also matches documents without the field; arrays containing the value are
+                        // excluded because equals matches any element. An array value is negated
+                        // exact array matching
+                        clauses.push(this.createNotClause(this.convertNested(context, true, () => Array.isArray(value)
+                            ? this.convertFieldQuery(field, value, context)
+                            : [this.createEqualsClause(field, value, context)]), context));
+                        break;
+
+                    case '$gt':
+                    case '$gte':
+                    case '$lt':
+                    case '$lte':
+                        clauses.push(this.createRangeClause(field, operator.slice(1), value, context));
+                        break;
+
+                    case '$in':
+                        clauses.push(this.createInClause(field, value, context));
+                        break;
+
+                    case '$nin':
+                        // Like $ne, per element; a null in the list also excludes documents without the field
+                        clauses.push(this.createNotClause([this.convertNested(context, true, () => this.createInClause(field, value, context))], context));
+                        break;
+
+                    case '$exists':
+                        this.resolveFieldTarget(field, 'exists', [], context);
+                        if (value) {
+                            clauses.push({
+                                exists: {
+                                    path: field
+                                }
+                            });
+                        } else {
+                            clauses.push(this.createNotClause([{
+                                exists: {
+                                    path: field
+                                }
+                            }], context));
+                        }
+                        break;
+
+                    case '$regex':
+                        // $options is read here and skipped on its own
+                        clauses.push(...this.convertRegex(field, value, operators.$options || '', context));
+                        break;
+
+                    case '$options':
+                        // Skip $options as it's handled together with $regex
+                        break;
+
+                    case '$elemMatch':
+                        clauses.push(...this.convertElemMatch(field, value, context));
+                        break;
+
+                    case '$all':
+                        clauses.push(...this.convertAll(field, value, context));
+                        break;
+
+                    case '$type':
+                        clauses.push(...this.convertType(field, value, context));
+                        break;
+
+                    case '$size':
+                        // Atlas Search does not index array lengths; only a non-empty array implies the field exists
+                        if (typeof value === 'number' && value > 0) {
+                            clauses.push({
+                                exists: {
+                                    path: field
+                                }
+                            });
+                        }
+                        this.addResidual(context, { [field]: { [operator]: value } });
+                        break;
+
+                    case '$mod':
+                        // Atlas Search has no modulo operator
+                        this.addResidual(context, { [field]: { [operator]: value } });
+                        break;
+
+                    case '$geoWithin':
+                        clauses.push(...this.convertGeoWithin(field, value, context));
+                        break;
+
+                    case '$geoIntersects':
+                        clauses.push(...this.convertGeoIntersects(field, value, context));
+                        break;
+
+                    case '$near':
+                    case '$nearSphere':
+                        clauses.push(...this.convertNear(field, operator, value, operators, context));
+                        break;
+
+                    case '$maxDistance':
+                    case '$minDistance':
+                        // Distances of a legacy point are read together with $near or $nearSphere
+                        if (!('$near' in operators) && !('$nearSphere' in operators)) {
+                            throw this.createConversionError('INVALID_ARGUMENT', `${operator} on '${field}' needs $near or $nearSphere`, context.currentPath());
+                        }
+                        break;
+
+                    case '$not':
+                        if (!(value instanceof RegExp) && !(typeof value === 'object' && value !== null && !Array.isArray(value) &&
+                            Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$')))) {
+                            throw this.createConversionError('INVALID_ARGUMENT', `$not on '${field}' needs a regex or a document of operators`, context.currentPath());
+                        }
+                        // $not negates all of its operators together: { $not: { $gt: 1, $lt: 5 } }
+                        const notClauses = this.convertNested(context, true, () => value instanceof RegExp
+                            ? this.convertRegex(field, value, '', context)
+                            : this.convertFieldOperators(field, value, context));
+                        clauses.push(this.createNotClause([this.createConjunction(notClauses, context)], context));
+                        break;
+
+                    default:
+                        clauses.push(...this.approximate(context, { [field]: { [operator]: value } }, [], {
+                            code: 'UNSUPPORTED_OPERATOR',
+                            superset: true,
+                            message: `Unsupported operator: ${operator} - skipping`
+                        }));
+                }
+            } finally {
+                context.path.pop();
+            }
+        }
+
+        return clauses;
+    }
+
+    /**
+     * Convert a $regex predicate or RegExp value to an Atlas Search regex clause
+     * The pattern is translated to the Lucene dialect (see translateRegex); patterns that
+     * can't be translated, and patterns on an analyzed string path without a lucene.keyword
+     * copy, are left to the residual $match in split mode
+     * @param {string} field - Field path
+     * @param {string|RegExp} pattern - $regex pattern or RegExp value
+     * @param {string} options - $options flags, combined with the flags of a RegExp
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Array} - Array of Atlas Search clauses
+     */
+    convertRegex(field, pattern, options, context) {
+        const predicate = { [field]: options ? { $regex: pattern, $options: options } : { $regex: pattern } };
+
+        // RegExp values carry their flags; g, y, d and v don't apply to a query
+        if (pattern instanceof RegExp) {
+            options = [...new Set([...pattern.flags].filter(flag => 'imsu'.includes(flag)).concat([...options]))].join('');
+            pattern = pattern.source;
+        }
+
+        if (typeof pattern !== 'string') {
+            return this.approximate(context, predicate, [], {
+                code: 'UNSUPPORTED_REGEX_VALUE',
+                superset: true,
+                message: `Unsupported $regex value on '${field}' - skipping`
+            });
+        }
+
+        // Atlas Search regex is case-sensitive; i is handled by matching a lowercased pattern
+        // against a lowercased copy of the value
+        const caseInsensitive = options.includes('i');
+        const lowercasePath = caseInsensitive ? this.getLowercasePath(field) : null;
+        let translated = this.translateRegex(pattern, options.replace(/i/g, ''));
+        if (!translated.error && caseInsensitive && !lowercasePath) {
+            if (this.indexMappings || Object.keys(this.lowercaseFields).length > 0) {
+                this.raiseMappingError(
+                    context,
+                    field,
+                    'MISSING_LOWERCASE_FIELD',
+                    `$regex with the i option on '${field}' needs a multi sub-field indexed with a keyword tokenizer and a lowercase token filter`
+                );
+                return [];
+            }
+            translated = { error: "option 'i' needs a lowercase sub-field; pass indexDefinition or lowercaseFields" };
+        }
+
+        if (translated.error) {
+            return this.approximate(context, predicate, [], {
+                code: 'UNTRANSLATABLE_REGEX',
+                superset: true,
+                message: `Warning: $regex /${pattern}/${options} on '${field}' can't be translated to Atlas Search regex (${translated.error}) - skipping`
+            });
+        }
+
+        if (lowercasePath) {
+            const query = translated.query.toLowerCase();
+            return [this.rewriteLiteralRegex(field, query, lowercasePath, true, context) || {
+                regex: {
+                    query: query,
+                    path: lowercasePath
+                }
+            }];
+        }
+
+        // A literal on a token field needs no regex mapping at all, unless a normalizer
+        // makes equals match other casings too
+        const literal = context.rewriteRegex ? this.parseLiteralRegex(translated.query) : null;
+        const mapping = this.getFieldMapping(field);
+        if (literal && !literal.prefix && mapping && !mapping.dynamic &&
+            mapping.types.some(type => type.type === 'token' && (type.normalizer || 'none') === 'none')) {
+            return [{
+                equals: {
+                    path: field,
+                    value: literal.literal
+                }
+            }];
+        }
+
+        const target = this.resolveFieldTarget(field, 'regex', [pattern], context);
+        const path = target ? target.path : field;
+        const clause = (target && this.rewriteLiteralRegex(field, translated.query, path, false, context)) || {
+            regex: {
+                query: translated.query,
+                path: path
+            }
+        };
+
+        // Without a lucene.keyword path the regex runs against each analyzed term
+        if (mapping && !target) {
+            return this.approximate(context, predicate, [clause], {
+                code: 'ANALYZED_STRING_REGEX',
+                superset: false,
+                message: `Warning: '${field}' is indexed as analyzed string; $regex /${pattern}/${options} is matched against single terms, not the whole value`
+            });
+        }
+
+        return [clause];
+    }
+
+    /**
+     * Rewrite a translated regex that is a literal or a literal prefix to a cheaper operator
+     * Prefixes use autocomplete when the field has an edgeGram autocomplete mapping that
+     * indexes whole values unchanged, and otherwise wildcard on the whole-value path
+     * @param {string} field - Field path
+     * @param {string} query - Lucene regex from translateRegex()
+     * @param {string|Object} path - Path holding the whole value (lucene.keyword or lowercase sub-field)
+     * @param {boolean} lowercase - Whether the path is the lowercase sub-field
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Object|null} - Atlas Search clause, or null to keep the regex
+     */
+    rewriteLiteralRegex(field, query, path, lowercase, context) {
+        const literal = context.rewriteRegex ? this.parseLiteralRegex(query) : null;
+        if (!literal) {
+            return null;
+        }
+
+        const mapping = this.getFieldMapping(field);
+        const autocomplete = !lowercase && literal.prefix && mapping && !mapping.dynamic && mapping.types.find(type =>
+            type.type === 'autocomplete' &&
+            type.tokenization === 'edgeGram' &&
+            type.analyzer === 'lucene.keyword' &&
+            type.foldDiacritics === false &&
+            literal.literal.length >= (type.minGrams || 2) &&
+            literal.literal.length <= (type.maxGrams || 15));
+        if (autocomplete) {
+            return {
+                autocomplete: {
+                    query: literal.literal,
+                    path: field
+                }
+            };
+        }
+
+        const wildcard = {
+            wildcard: {
+                query: literal.literal.replace(/[*?\\]/g, '\\$&') + (literal.prefix ? '*' : ''),
+                path: path
+            }
+        };
+        // Custom analyzers count as analyzed even when they keep the whole value
+        if (lowercase) {
+            wildcard.wildcard.allowAnalyzedField = true;
+        }
+        return wildcard;
+    }
+
+    /**
+     * Recognize a translated regex that matches one literal value or a literal prefix
+     * @param {string} query - Lucene regex from translateRegex()
+     * @returns {Object|null} - { literal, prefix }, or null for any other pattern
+     */
+    parseLiteralRegex(query) {
+        const match = /^((?:[^.?+*|{}[\]()"\\<>@#&~]|\\.)+)((?:\.\*)*)$/.exec(query);
+        if (!match) {
+            return null;
+        }
+
+        return {
+            literal: match[1].replace(/\\(.)/g, '$1'),
+            prefix: match[2] !== ''
+        };
+    }
+
+    /**
+     * Find the path holding a lowercased copy of the whole value, for case-insensitive regex
+     * Uses the lowercaseFields option, then the index definition: a string mapping or multi
+     * sub-field whose analyzer has a keyword tokenizer and a lowercase token filter
+     * @param {string} field - Field path
+     * @returns {string|Object|null} - Regex path, or null when the field has no lowercase copy
+     */
+    getLowercasePath(field) {
+        if (this.lowercaseFields[field]) {
+            return { value: field, multi: this.lowercaseFields[field] };
+        }
+
+        const mapping = this.getFieldMapping(field);
+        if (!mapping || mapping.dynamic) {
+            return null;
+        }
+
+        const isLowercaseKeyword = analyzerName => this.indexAnalyzers.some(analyzer =>
+            analyzer.name === analyzerName &&
+            analyzer.tokenizer && analyzer.tokenizer.type === 'keyword' &&
+            (analyzer.tokenFilters || []).some(filter => filter.type === 'lowercase'));
+
+        for (const type of mapping.types.filter(type => type.type === 'string')) {
+            if (isLowercaseKeyword(type.analyzer)) {
+                return field;
+            }
+            const multi = Object.entries(type.multi || {}).find(([, definition]) => isLowercaseKeyword(definition.analyzer));
+            if (multi) {
+                return { value: field, multi: multi[0] };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Translate a PCRE $regex pattern to the Lucene regex dialect of Atlas Search
+     * Lucene matches the whole value, so unanchored ends become .* and ^/$ are dropped;
+     * shorthand classes are expanded, lazy quantifiers and non-capturing groups are
+     * simplified, and Lucene-reserved literals are escaped. The m, s, x and u options are
+     * applied to the pattern. Lookaround, backreferences, word boundaries, inline flags
+     * and the i option have no Lucene equivalent (see convertRegex for i).
+     * @param {string} pattern - PCRE pattern
+     * @param {string} options - $options flags
+     * @returns {Object} - { query } or { error } describing why the pattern can't be translated
+     */
+    translateRegex(pattern, options = '') {
+        const unsupportedOption = [...options].find(option => !'msxu'.includes(option));
+        if (unsupportedOption) {
+            return { error: `option '${unsupportedOption}' is not supported` };
+        }
+
+        const multiline = options.includes('m');
+        const extended = options.includes('x');
+        const whitespace = ' \t\n\r\f\v';
+        const shorthand = { d: '0-9', w: 'a-zA-Z0-9_', s: whitespace };
+        const controls = { n: '\n', t: '\t', r: '\r', f: '\f', v: '\v', 0: '\0' };
+        const reserved = '.?+*|{}[]()"\\<>@#&~';
+        const literal = char => (reserved.includes(char) ? `\\${char}` : char);
+
+        const branches = [];
+        let branch = { body: '', start: false, end: false };
+        let depth = 0;
+        let i = 0;
+
+        // Reads \xhh or \uhhhh after the backslash at i; returns the character or null
+        const readCodeEscape = () => {
+            const match = /^\\(?:x([0-9a-fA-F]{2})|u([0-9a-fA-F]{4}))/.exec(pattern.slice(i));
+            if (!match) {
+                return null;
+            }
+            i += match[0].length;
+            return String.fromCharCode(parseInt(match[1] || match[2], 16));
+        };
+
+        while (i < pattern.length) {
+            const char = pattern[i];
+
+            if (extended && whitespace.includes(char)) {
+                i++;
+                continue;
+            }
+            if (extended && char === '#') {
+                while (i < pattern.length && pattern[i] !== '\n') {
+                    i++;
+                }
+                continue;
+            }
+
+            const atBranchEnd = () => i + 1 === pattern.length || (depth === 0 && pattern[i + 1] === '|');
+
+            if (char === '^' || (char === '\\' && pattern[i + 1] === 'A')) {
+                if (depth > 0 || branch.body !== '' || branch.start) {
+                    return { error: 'anchor inside the pattern' };
+                }
+                branch.start = char === '^' && multiline ? 'line' : 'value';
+                i += char === '^' ? 1 : 2;
+                continue;
+            }
+
+            if (char === '$' || (char === '\\' && 'zZ'.includes(pattern[i + 1]))) {
+                if (char === '\\') {
+                    i++;
+                }
+                if (depth > 0 || !atBranchEnd()) {
+                    return { error: 'anchor inside the pattern' };
+                }
+                branch.end = char === '$' && multiline ? 'line' : 'value';
+                i++;
+                continue;
+            }
+
+            if (char === '|' && depth === 0) {
+                branches.push(branch);
+                branch = { body: '', start: false, end: false };
+                i++;
+                continue;
+            }
+
+            if (branch.end) {
+                return { error: 'anchor inside the pattern' };
+            }
+
+            if (char === '(') {
+                if (pattern.startsWith('(?:', i)) {
+                    i += 3;
+                } else if (/^\(\?P?<[A-Za-z_]\w*>/.test(pattern.slice(i))) {
+                    i = pattern.indexOf('>', i) + 1;
+                } else if (pattern[i + 1] === '?') {
+                    return { error: /^\(\?<?[=!]/.test(pattern.slice(i)) ? 'lookaround' : 'inline flags or special group' };
+                } else {
+                    i++;
+                }
+                branch.body += '(';
+                depth++;
+                continue;
+            }
+
+            if (char === ')') {
+                if (depth === 0) {
+                    return { error: 'unbalanced parentheses' };
+                }
+                branch.body += ')';
+                depth--;
+                i++;
+                continue;
+            }
+
+            if ('*+?{'.includes(char)) {
+                let quantifier = char;
+                if (char === '{') {
+                    const match = /^\{\d+(,\d*)?\}/.exec(pattern.slice(i));
+                    if (!match) {
+                        // PCRE reads a brace that doesn't start a quantifier literally
+                        branch.body += '\\{';
+                        i++;
+                        continue;
+                    }
+                    quantifier = match[0];
+                }
+                i += quantifier.length;
+                if (pattern[i] === '+') {
+                    return { error: 'possessive quantifier' };
+                }
+                if (pattern[i] === '?') {
+                    // Laziness doesn't change whole-value matches
+                    i++;
+                }
+                branch.body += quantifier;
+                continue;
+            }
+
+            if (char === '[') {
+                let j = i + 1;
+                let body = '';
+                if (pattern[j] === '^') {
+                    body += '^';
+                    j++;
+                }
+                const first = j;
+                while (j < pattern.length && (pattern[j] !== ']' || j === first)) {
+                    const classChar = pattern[j];
+                    if (classChar === '\\') {
+                        const escaped = pattern[j + 1];
+                        i = j;
+                        const code = readCodeEscape();
+                        if (code !== null) {
+                            body += literal(code);
+                            j = i;
+                            continue;
+                        }
+                        if (shorthand[escaped]) {
+                            body += shorthand[escaped];
+                        } else if ('DWS'.includes(escaped)) {
+                            return { error: `\\${escaped} inside a character class` };
+                        } else if (controls[escaped]) {
+                            body += controls[escaped];
+                        } else if (escaped === 'b') {
+                            body += '\b';
+                        } else {
+                            body += `\\${escaped}`;
+                        }
+                        j += 2;
+                    } else if (classChar === '[' && pattern[j + 1] === ':') {
+                        return { error: 'POSIX character class' };
+                    } else if (classChar === '-' && j !== first && pattern[j + 1] !== ']') {
+                        body += '-';
+                        j++;
+                    } else {
+                        body += /[A-Za-z0-9]/.test(classChar) ? classChar : `\\${classChar}`;
+                        j++;
+                    }
+                }
+                if (j >= pattern.length) {
+                    return { error: 'unterminated character class' };
+                }
+                branch.body += `[${body}]`;
+                i = j + 1;
+                continue;
+            }
+
+            if (char === '\\') {
+                const escaped = pattern[i + 1];
+                if (escaped === undefined) {
+                    return { error: 'trailing backslash' };
+                }
+                const code = readCodeEscape();
+                if (code !== null) {
+                    branch.body += literal(code);
+                    continue;
+                }
+                if (shorthand[escaped.toLowerCase()]) {
+                    const negate = escaped === escaped.toUpperCase() ? '^' : '';
+                    branch.body += `[${negate}${shorthand[escaped.toLowerCase()]}]`;
+                } else if (controls[escaped]) {
+                    branch.body += controls[escaped];
+                } else if (/[1-9]/.test(escaped) || escaped === 'k') {
+                    return { error: 'backreference' };
+                } else if ('bB'.includes(escaped)) {
+                    return { error: 'word boundary' };
+                } else if (/[A-Za-z]/.test(escaped)) {
+                    return { error: `escape \\${escaped}` };
+                } else {
+                    branch.body += `\\${escaped}`;
+                }
+                i += 2;
+                continue;
+            }
+
+            // . and alternation inside groups mean the same in Lucene
+            branch.body += char === '.' || char === '|' ? char : literal(char);
+            i++;
+        }
+
+        if (depth > 0) {
+            return { error: 'unbalanced parentheses' };
+        }
+        branches.push(branch);
+
+        const queries = branches.map(({ body, start, end }) => {
+            const prefix = start === 'line' ? '(.*\n)?' : (start ? '' : '.*');
+            const suffix = end === 'line' ? '(\n.*)?' : (end ? '' : '.*');
+            if (!start && !end && body === '') {
+                return '.*';
+            }
+            return prefix + body + suffix;
+        });
+
+        return { query: queries.length === 1 ? queries[0] : queries.map(query => `(${query})`).join('|') };
+    }
+
+    /**
+     * Convert array elements to one equals clause per element
+     * @param {string} field - Array field name
+     * @param {Array} elements - Elements that must all be present
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Array} - Array of Atlas Search clauses
+     */
+    convertArrayElements(field, elements, context = this.createContext()) {
+        return elements.map(element => this.createEqualsClause(field, element, context));
+    }
+
+    /**
+     * Create an equals clause, or the phrase that matches the value when the index
+     * maps the field as string rather than token
+     * @param {string} field - Field path
+     * @param {*} value - Value to match
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Object} - Atlas Search clause
+     */
+    createEqualsClause(field, value, context) {
+        const target = this.resolveFieldTarget(field, 'equals', [value], context);
+        if (target) {
+            return this.createPhraseClause(field, [value], target, { [field]: { $eq: value } }, context);
+        }
+
+        return {
+            equals: {
+                path: field,
+                value: value
+            }
+        };
+    }
+
+    /**
+     * Create the clause matching every document in the current scope
+     * Inside an embeddedDocument operator the scope is the array element, which has no
+     * _id, so the embedded path itself is used
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Object} - Atlas Search clause
+     */
+    createMatchAllClause(context) {
+        const prefix = context ? context.fieldPrefix : '';
+        if (prefix && (this.allEmbeddedDocuments || this.embeddedDocumentPaths.has(prefix))) {
+            return { exists: { path: prefix } };
+        }
+        return { exists: { path: '_id' } };
+    }
+
+    /**
+     * Create a compound excluding documents that match any of the clauses
+     * A compound with only mustNot clauses matches no documents, so it is anchored with
+     * a match-all clause
+     * @param {Array} clauses - Clauses to exclude
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Object} - Atlas Search clause
+     */
+    createNotClause(clauses, context) {
+        return {
+            compound: {
+                filter: [this.createMatchAllClause(context)],
+                mustNot: clauses
+            }
+        };
+    }
+
+    /**
+     * Create the clause matching documents where the field is null or missing
+     * @param {string} field - Field path
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Object} - Atlas Search clause
+     */
+    createNullClause(field, context) {
+        return {
+            compound: {
+                should: [
+                    // Match explicit null values
+                    {
+                        equals: {
+                            path: field,
+                            value: null
+                        }
+                    },
+                    // Match missing fields
+                    this.createNotClause([{
+                        exists: { path: field }
+                    }], context)
+                ],
+                minimumShouldMatch: 1
+            }
+        };
+    }
+
+    /**
+     * Create a range clause with a single bound
+     * @param {string} field - Field path
+     * @param {string} bound - gt, gte, lt or lte
+     * @param {*} value - Bound value
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Object} - Atlas Search clause
+     */
+    createRangeClause(field, bound, value, context) {
+        this.resolveFieldTarget(field, 'range', [value], context);
+
+        return {
+            range: {
+                path: field,
+                [bound]: value
+            }
+        };
+    }
+
+    /**
+     * Create an in clause; string values become phrases when the index maps the
+     * field as string rather than token
+     * @param {string} field - Field path
+     * @param {Array} values - Values to match
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Object} - Atlas Search clause
+     */
+    createInClause(field, values, context) {
+        if (Array.isArray(values) && values.some(value => value instanceof RegExp)) {
+            return this.createRegexInClause(field, values, context);
+        }
+
+        if (Array.isArray(values) && values.includes(null)) {
+            // null in the list matches null values and missing fields, which in can't express
+            const others = values.filter(value => value !== null);
+            if (others.length === 0) {
+                return this.createNullClause(field, context);
+            }
+            return {
+                compound: {
+                    should: [this.createInClause(field, others, context), this.createNullClause(field, context)],
+                    minimumShouldMatch: 1
+                }
+            };
+        }
+
+        const target = this.resolveFieldTarget(field, 'in', Array.isArray(values) ? values : [values], context);
+        if (!target) {
+            return {
+                in: {
+                    path: field,
+                    value: values
+                }
+            };
+        }
+
+        const strings = values.filter(value => typeof value === 'string');
+        const others = values.filter(value => typeof value !== 'string');
+        if (others.length === 0) {
+            return this.createPhraseClause(field, strings, target, { [field]: { $in: values } }, context);
+        }
+
+        return {
+            compound: {
+                should: [
+                    this.createPhraseClause(field, strings, target, { [field]: { $in: strings } }, context),
+                    { in: { path: field, value: others } }
+                ],
+                minimumShouldMatch: 1
+            }
+        };
+    }
+
+    /**
+     * Create the clause for an $in list with RegExp values: any regex or any other value
+     * The alternatives are nested, so a regex left to the residual $match takes the whole
+     * $in with it
+     * @param {string} field - Field path
+     * @param {Array} values - $in values
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Object} - Atlas Search clause
+     */
+    createRegexInClause(field, values, context) {
+        return this.convertNested(context, false, () => {
+            const should = [];
+            values.forEach((value, index) => {
+                if (value instanceof RegExp) {
+                    should.push(...context.at(index, () => this.convertRegex(field, value, '', context)));
+                }
+            });
+
+            const others = values.filter(value => !(value instanceof RegExp));
+            if (others.length > 0) {
+                should.push(this.createInClause(field, others, context));
+            }
+
+            if (should.length === 0) {
+                // Every regex was skipped; any value of the field may match
+                return { exists: { path: field } };
+            }
+
+            return should.length === 1 ? should[0] : {
+                compound: {
+                    should: should,
+                    minimumShouldMatch: 1
+                }
+            };
+        });
+    }
+
+    /**
+     * Create the phrase clause matching any of the given strings
+     * Phrases on a lucene.keyword path match the whole value; on analyzed paths they
+     * also match longer values and other casings, which is reported as a superset
+     * @param {string} field - Field path
+     * @param {Array<string>} values - Strings to match
+     * @param {Object} target - { path, exact } from resolveFieldTarget()
+     * @param {Object} predicate - MQL predicate for the residual $match
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Object} - Atlas Search clause
+     */
+    createPhraseClause(field, values, target, predicate, context) {
+        const phrases = values.map(value => ({
+            phrase: {
+                query: value,
+                path: target.path
+            }
+        }));
+        const clause = phrases.length === 1 ? phrases[0] : {
+            compound: {
+                should: phrases,
+                minimumShouldMatch: 1
+            }
+        };
+
+        if (target.exact) {
+            return clause;
+        }
+
+        // superset keeps the clause in every mode
+        const [approximated] = this.approximate(context, predicate, [clause], {
+            code: 'ANALYZED_STRING_MATCH',
+            superset: true,
+            message: `Warning: '${field}' is indexed as analyzed string, not token; phrase matching may return values that only contain the query or differ in case`
+        });
+        return approximated;
+    }
+
+    /**
+     * Check that the index maps a field in a way an operator can query
+     * Without an index definition every path is assumed to be compatible
+     * @param {string} field - Field path
+     * @param {string} operator - equals, range, in, regex or exists
+     * @param {Array} values - Query values
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Object|null} - { path, exact } when string values must be matched with phrase or a regex
+     *                        has a lucene.keyword path, otherwise null
+     * @throws {IndexMappingError} - When the path is not indexed or its types can't be queried this way
+     */
+    resolveFieldTarget(field, operator, values, context) {
+        const mapping = this.getFieldMapping(field);
+        if (!mapping) {
+            return null;
+        }
+
+        if (!mapping.indexed) {
+            this.raiseMappingError(context, field, 'UNINDEXED_PATH', `'${field}' is not indexed in the search index`);
+            return null;
+        }
+
+        let target = null;
+        for (const kind of new Set(values.map(value => this.getValueKind(value)))) {
+            if (kind === 'null' || kind === 'other') {
+                continue;
+            }
+
+            // Dynamic mappings index each value with the type of the value
+            const types = mapping.dynamic ? [{ type: kind }] : mapping.types;
+            const incompatible = () => this.raiseMappingError(
+                context,
+                field,
+                'INCOMPATIBLE_MAPPING',
+                `'${field}' is indexed as ${types.map(type => type.type).join(', ')} and can't be queried with ${operator} on a ${kind} value`
+            );
+
+            if (kind !== 'string') {
+                if (!types.some(type => type.type === kind)) {
+                    incompatible();
+                    return null;
+                }
+                continue;
+            }
+
+            // token supports equals, in and range; regex needs an analyzed string
+            if (operator !== 'regex' && types.some(type => type.type === 'token')) {
+                continue;
+            }
+
+            const stringType = types.find(type => type.type === 'string');
+            if (!stringType || operator === 'range') {
+                incompatible();
+                return null;
+            }
+
+            // Prefer a lucene.keyword analyzer, which indexes the whole value as one term;
+            // regex on an analyzed path keeps the field itself and matches single terms
+            const keywordMulti = Object.entries(stringType.multi || {})
+                .find(([, multi]) => multi.analyzer === 'lucene.keyword');
+            if (stringType.analyzer === 'lucene.keyword') {
+                target = { path: field, exact: true };
+            } else if (keywordMulti) {
+                target = { path: { value: field, multi: keywordMulti[0] }, exact: true };
+            } else if (operator !== 'regex') {
+                target = { path: field, exact: false };
+            }
+        }
+
+        return target;
+    }
+
+    /**
+     * Look up the index mapping of a field path
+     * Document and embeddedDocuments mappings are followed for dotted paths
+     * @param {string} field - Field path
+     * @returns {Object|null} - { indexed, dynamic, types }, or null without an index definition
+     */
+    getFieldMapping(field) {
+        if (!this.indexMappings) {
+            return null;
+        }
+
+        let mapping = this.indexMappings;
+        const segments = field.split('.');
+        for (let i = 0; i < segments.length; i++) {
+            const definition = (mapping.fields || {})[segments[i]];
+            if (!definition) {
+                const dynamic = Boolean(mapping.dynamic);
+                return { indexed: dynamic, dynamic, types: [] };
+            }
+
+            const types = Array.isArray(definition) ? definition : [definition];
+            if (i === segments.length - 1) {
+                return { indexed: true, dynamic: false, types };
+            }
+
+            mapping = types.find(type => type.type === 'document' || type.type === 'embeddedDocuments');
+            if (!mapping) {
+                return { indexed: false, dynamic: false, types: [] };
+            }
+        }
+    }
+
+    /**
+     * Atlas Search field type a query value is compared as
+     * @param {*} value - Query value
+     * @returns {string} - string, number, boolean, date, objectId, null or other
+     */
+    getValueKind(value) {
+        if (value === null) {
+            return 'null';
+        }
+        if (value instanceof Date) {
+            return 'date';
+        }
+        if (value && value._bsontype === 'ObjectId') {
+            return 'objectId';
+        }
+        if (['string', 'number', 'boolean'].includes(typeof value)) {
+            return typeof value;
+        }
+        return 'other';
+    }
+
+    /**
+     * Check whether Atlas Search can sort on a field
+     * Strings are only sortable when mapped as token
+     * @param {string} field - Field path
+     * @returns {boolean} - False when the index definition rules the field out
+     */
+    isSortableField(field) {
+        const mapping = this.getFieldMapping(field);
+        if (!mapping) {
+            return true;
+        }
+        if (!mapping.indexed) {
+            return false;
+        }
+        if (mapping.dynamic) {
+            return true;
+        }
+
+        const sortableTypes = ['token', 'number', 'date', 'boolean', 'objectId', 'uuid'];
+        return mapping.types.some(type => sortableTypes.includes(type.type));
+    }
+
+    /**
+     * Collect the paths mapped as embeddedDocuments in index mappings
+     * @param {Object} mappings - Index mappings ({ dynamic, fields })
+     * @param {string} prefix - Path of the enclosing document
+     * @returns {Array<string>} - embeddedDocuments paths
+     */
+    collectEmbeddedDocumentPaths(mappings, prefix = '') {
+        const paths = [];
+        for (const [name, definition] of Object.entries((mappings && mappings.fields) || {})) {
+            const path = prefix ? `${prefix}.${name}` : name;
+            for (const type of Array.isArray(definition) ? definition : [definition]) {
+                if (type.type === 'embeddedDocuments') {
+                    paths.push(path);
+                }
+                if (type.type === 'embeddedDocuments' || type.type === 'document') {
+                    paths.push(...this.collectEmbeddedDocumentPaths(type, path));
+                }
+            }
+        }
+        return paths;
+    }
+
+    /**
+     * Convert $all to a compound.must with one clause per element
+     * Elements of the form { $elemMatch: {...} } are converted through convertElemMatch, and
+     * RegExp elements through convertRegex
+     * @param {string} field - Array field name
+     * @param {Array} elements - $all elements
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Array} - Array of Atlas Search clauses
+     */
+    convertAll(field, elements, context = this.createContext()) {
+        if (!Array.isArray(elements)) {
+            throw this.createConversionError('INVALID_ARGUMENT', `$all on '${field}' requires an array`, context.currentPath());
+        }
+
+        if (elements.length === 0) {
+            // { $all: [] } matches no documents
+            return [{
+                compound: {
+                    must: [{ exists: { path: '_id' } }],
+                    mustNot: [{ exists: { path: '_id' } }]
+                }
+            }];
+        }
+
+        const clauses = elements.flatMap((element, index) => {
+            if (typeof element === 'object' && element !== null && element.$elemMatch !== undefined) {
+                return context.at(index, () => context.at('$elemMatch', () => this.convertElemMatch(field, element.$elemMatch, context)));
+            }
+            if (element instanceof RegExp) {
+                return context.at(index, () => this.convertRegex(field, element, '', context));
+            }
+            return context.at(index, () => this.convertArrayElements(field, [element], context));
+        });
+
+        if (clauses.length === 1) {
+            return clauses;
+        }
+
+        return [{
+            compound: {
+                must: clauses
+            }
+        }];
+    }
+
+    /**
+     * Convert $type to Atlas Search
+     * null, missing, bool and the number alias are exact; specific numeric types are narrowed with a
+     * range and checked by the residual $match; other types are left to the residual $match entirely
+     * @param {string} field - Field name
+     * @param {string|number|Array} type - BSON type alias, type number or an array of them
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Array} - Array of Atlas Search clauses
+     */
+    convertType(field, type, context = this.createContext()) {
+        const typeAliases = { 1: 'double', 2: 'string', 8: 'bool', 10: 'null', 16: 'int', 18: 'long', 19: 'decimal' };
+        const types = (Array.isArray(type) ? type : [type]).map(t => typeAliases[t] || t);
+
+        // Any number (int, long or double) on a number-mapped path
+        const anyNumber = {
+            compound: {
+                should: [
+                    { range: { path: field, gte: 0 } },
+                    { range: { path: field, lt: 0 } }
+                ],
+                minimumShouldMatch: 1
+            }
+        };
+
+        const exactClauses = {
+            null: { equals: { path: field, value: null } },
+            missing: this.createNotClause([{ exists: { path: field } }], context),
+            bool: { in: { path: field, value: [true, false] } },
+            number: anyNumber
+        };
+
+        if (types.every(t => exactClauses[t])) {
+            const clauses = types.map(t => exactClauses[t]);
+            return clauses.length === 1 ? clauses : [{
+                compound: {
+                    should: clauses,
+                    minimumShouldMatch: 1
+                }
+            }];
+        }
+
+        this.addResidual(context, { [field]: { $type: type } });
+
+        // int, long and double are all indexed as number, so the range only narrows the candidates;
+        // the other types of the list must still reach the residual $match
+        if (types.every(t => exactClauses[t] || ['double', 'int', 'long'].includes(t))) {
+            const clauses = [...new Set(types.map(t => exactClauses[t] || anyNumber))];
+            return clauses.length === 1 ? clauses : [{
+                compound: {
+                    should: clauses,
+                    minimumShouldMatch: 1
+                }
+            }];
+        }
+
+        return [];
+    }
+
+    /**
+     * Convert $geoWithin to an Atlas Search geoWithin clause
+     * $box, $polygon, $centerSphere and Polygon or MultiPolygon $geometry are converted;
+     * $center measures flat distances in coordinate units and is skipped (see approximate)
+     * @param {string} field - Field path
+     * @param {Object} spec - $geoWithin document, e.g. { $centerSphere: [[-73.9, 40.7], 0.001] }
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Array} - Array of Atlas Search clauses
+     */
+    convertGeoWithin(field, spec, context = this.createContext()) {
+        const shapes = ['$box', '$polygon', '$center', '$centerSphere', '$geometry'];
+        const [shape, value] = this.getGeoShape('$geoWithin', spec, shapes, context);
+        this.checkGeoMapping(field, 'geoWithin', context);
+
+        return context.at(shape, () => {
+            switch (shape) {
+                case '$box': {
+                    if (!Array.isArray(value) || value.length !== 2) {
+                        throw this.createConversionError('INVALID_ARGUMENT', '$box needs the bottom left and top right corners', context.currentPath());
+                    }
+                    const [bottomLeft, topRight] = value.map(corner => this.createGeoPoint(corner, context));
+                    return [{ geoWithin: { path: field, box: { bottomLeft, topRight } } }];
+                }
+
+                case '$polygon': {
+                    if (!Array.isArray(value) || value.length < 3) {
+                        throw this.createConversionError('INVALID_ARGUMENT', '$polygon needs at least three points', context.currentPath());
+                    }
+                    // GeoJSON rings repeat the first point at the end
+                    const ring = value.map(point => this.createGeoPoint(point, context).coordinates);
+                    if (ring[0].some((coordinate, i) => coordinate !== ring[ring.length - 1][i])) {
+                        ring.push(ring[0]);
+                    }
+                    return [{ geoWithin: { path: field, geometry: { type: 'Polygon', coordinates: [ring] } } }];
+                }
+
+                case '$centerSphere': {
+                    if (!Array.isArray(value) || value.length !== 2 || typeof value[1] !== 'number' || value[1] < 0) {
+                        throw this.createConversionError('INVALID_ARGUMENT', '$centerSphere needs a center and a radius in radians', context.currentPath());
+                    }
+                    return [{
+                        geoWithin: {
+                            path: field,
+                            circle: { center: this.createGeoPoint(value[0], context), radius: this.radiansToMeters(value[1]) }
+                        }
+                    }];
+                }
+
+                case '$geometry': {
+                    const geometry = this.getGeoJSONGeometry(value, ['Polygon', 'MultiPolygon'], context);
+                    return geometry
+                        ? [{ geoWithin: { path: field, geometry } }]
+                        : this.approximate(context, { [field]: { $geoWithin: spec } }, [], {
+                            code: 'UNSUPPORTED_OPERATOR',
+                            superset: true,
+                            message: `Unsupported $geometry crs on '${field}' - skipping`
+                        });
+                }
+
+                default:
+                    return this.approximate(context, { [field]: { $geoWithin: spec } }, [], {
+                        code: 'UNSUPPORTED_OPERATOR',
+                        superset: true,
+                        message: `Unsupported $geoWithin shape $center on '${field}' (use $centerSphere) - skipping`
+                    });
+            }
+        });
+    }
+
+    /**
+     * Convert $geoIntersects to an Atlas Search geoShape clause
+     * geoShape needs the path mapped as geo with indexShapes: true
+     * @param {string} field - Field path
+     * @param {Object} spec - $geoIntersects document: { $geometry: { type, coordinates } }
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Array} - Array of Atlas Search clauses
+     */
+    convertGeoIntersects(field, spec, context = this.createContext()) {
+        const [, value] = this.getGeoShape('$geoIntersects', spec, ['$geometry'], context);
+        this.checkGeoMapping(field, 'geoShape', context);
+
+        const geometry = context.at('$geometry', () =>
+            this.getGeoJSONGeometry(value, ['Point', 'LineString', 'Polygon', 'MultiPolygon'], context));
+        if (!geometry) {
+            return this.approximate(context, { [field]: { $geoIntersects: spec } }, [], {
+                code: 'UNSUPPORTED_OPERATOR',
+                superset: true,
+                message: `Unsupported $geometry crs on '${field}' - skipping`
+            });
+        }
+
+        return [{ geoShape: { path: field, relation: 'intersects', geometry } }];
+    }
+
+    /**
+     * Convert $near or $nearSphere to an Atlas Search near clause
+     * near scores documents by distance, which orders results like $near when nothing else
+     * scores; $maxDistance becomes a geoWithin circle (and the pivot) and $minDistance an
+     * excluded circle. Legacy $near points measure flat distances and can't be converted
+     * @param {string} field - Field path
+     * @param {string} operator - $near or $nearSphere
+     * @param {Object|Array} value - { $geometry, $maxDistance, $minDistance } or a legacy point
+     * @param {Object} operators - Field operators, holding the distances of a legacy point
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Array} - Array of Atlas Search clauses
+     * @throws {UnsupportedOperatorError} - For a legacy point with $near
+     */
+    convertNear(field, operator, value, operators, context = this.createContext()) {
+        let origin, maxDistance, minDistance;
+        if (value && typeof value === 'object' && !Array.isArray(value) && value.$geometry) {
+            // GeoJSON point, distances in meters
+            origin = context.at('$geometry', () => this.getGeoJSONGeometry(value.$geometry, ['Point'], context));
+            ({ $maxDistance: maxDistance, $minDistance: minDistance } = value);
+        } else if (operator === '$nearSphere') {
+            // Legacy point, distances in radians
+            origin = this.createGeoPoint(value, context);
+            ({ $maxDistance: maxDistance, $minDistance: minDistance } = operators);
+            maxDistance = maxDistance === undefined ? undefined : this.radiansToMeters(maxDistance);
+            minDistance = minDistance === undefined ? undefined : this.radiansToMeters(minDistance);
+        } else {
+            throw this.createConversionError('UNSUPPORTED_OPERATOR', `$near with a legacy point on '${field}' measures flat distances; use $nearSphere or a GeoJSON $geometry`, context.currentPath());
+        }
+
+        if (!origin) {
+            throw this.createConversionError('UNSUPPORTED_OPERATOR', `Unsupported $geometry crs on '${field}'`, context.currentPath());
+        }
+        for (const distance of [maxDistance, minDistance].filter(distance => distance !== undefined)) {
+            if (typeof distance !== 'number' || distance < 0) {
+                throw this.createConversionError('INVALID_ARGUMENT', `${operator} distances on '${field}' must be non-negative numbers`, context.currentPath());
+            }
+        }
+        this.checkGeoMapping(field, 'near', context);
+
+        // The score halves at the pivot distance; any pivot keeps the distance order
+        const clauses = [{ near: { path: field, origin, pivot: maxDistance || 1000 } }];
+        if (maxDistance !== undefined) {
+            clauses.push({ geoWithin: { path: field, circle: { center: origin, radius: maxDistance } } });
+        }
+        if (minDistance) {
+            clauses.push(this.createNotClause([{ geoWithin: { path: field, circle: { center: origin, radius: minDistance } } }], context));
+        }
+        return clauses;
+    }
+
+    /**
+     * Read the single shape operator of a $geoWithin or $geoIntersects document
+     * @param {string} operator - $geoWithin or $geoIntersects
+     * @param {Object} spec - Operator document
+     * @param {Array<string>} shapes - Accepted shape operators
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Array} - [shape, value]
+     * @throws {InvalidQueryError} - When the document doesn't hold exactly one accepted shape
+     */
+    getGeoShape(operator, spec, shapes, context) {
+        const entries = spec && typeof spec === 'object' && !Array.isArray(spec) ? Object.entries(spec) : [];
+        if (entries.length !== 1 || !shapes.includes(entries[0][0])) {
+            throw this.createConversionError('INVALID_ARGUMENT', `${operator} needs one of ${shapes.join(', ')}`, context.currentPath());
+        }
+        return entries[0];
+    }
+
+    /**
+     * Validate a GeoJSON $geometry and strip it to { type, coordinates }
+     * @param {Object} geometry - GeoJSON geometry
+     * @param {Array<string>} types - Accepted geometry types
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Object|null} - Geometry, or null when it uses a custom crs (big polygons)
+     * @throws {InvalidQueryError} - When the geometry is not one of the accepted types
+     */
+    getGeoJSONGeometry(geometry, types, context) {
+        if (!geometry || !types.includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+            throw this.createConversionError('INVALID_ARGUMENT', `$geometry must be a GeoJSON ${types.join(', ')}`, context.currentPath());
+        }
+        if (geometry.crs) {
+            return null;
+        }
+        return { type: geometry.type, coordinates: geometry.coordinates };
+    }
+
+    /**
+     * Convert a legacy coordinate pair to a GeoJSON point
+     * @param {Array|Object} pair - [longitude, latitude] or a document with the two values in that order
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Object} - { type: 'Point', coordinates }
+     * @throws {InvalidQueryError} - When the pair doesn't hold two numbers
+     */
+    createGeoPoint(pair, context) {
+        const coordinates = Array.isArray(pair) ? pair : (pair && typeof pair === 'object' ? Object.values(pair) : []);
+        if (coordinates.length !== 2 || coordinates.some(coordinate => typeof coordinate !== 'number')) {
+            throw this.createConversionError('INVALID_ARGUMENT', 'Legacy coordinate pairs must be [longitude, latitude]', context.currentPath());
+        }
+        return { type: 'Point', coordinates: [...coordinates] };
+    }
+
+    /**
+     * Convert a spherical distance in radians to meters, with the equatorial radius MongoDB uses
+     * @param {number} radians - Distance in radians
+     * @returns {number} - Distance in meters
+     */
+    radiansToMeters(radians) {
+        return radians * 6378100;
+    }
+
+    /**
+     * Check that the index maps a field as geo, with indexShapes for geoShape
+     * Without an index definition every path is assumed to be compatible
+     * @param {string} field - Field path
+     * @param {string} operator - geoWithin, geoShape or near
+     * @param {ConversionContext} context - Conversion context
+     * @throws {IndexMappingError} - When the path is not indexed or not mapped as geo
+     */
+    checkGeoMapping(field, operator, context) {
+        const mapping = this.getFieldMapping(field);
+        if (!mapping) {
+            return;
+        }
+
+        if (!mapping.indexed) {
+            this.raiseMappingError(context, field, 'UNINDEXED_PATH', `'${field}' is not indexed in the search index`);
+            return;
+        }
+
+        // Dynamic mappings don't index geo
+        const geo = mapping.types.find(type => type.type === 'geo');
+        if (!geo || (operator === 'geoShape' && !geo.indexShapes)) {
+            this.raiseMappingError(
+                context,
+                field,
+                'INCOMPATIBLE_MAPPING',
+                `'${field}' must be mapped as geo${operator === 'geoShape' ? ' with indexShapes: true' : ''} to be queried with ${operator}`
+            );
+        }
+    }
+
+    /**
+     * Convert $elemMatch to Atlas Search
+     * Document arrays become embeddedDocument clauses when the path is mapped as embeddedDocuments;
+     * scalar arrays keep the conditions on the field itself
+     * @param {string} field - Array field name
+     * @param {Object} condition - $elemMatch condition
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Array} - Array of Atlas Search clauses
+     */
+    convertElemMatch(field, condition, context = this.createContext()) {
+        if (typeof condition !== 'object' || condition === null || Array.isArray(condition)) {
+            throw this.createConversionError('INVALID_ARGUMENT', `$elemMatch on '${field}' requires a query object`, context.currentPath());
+        }
+
+        // Element conditions can't be split out of $elemMatch into a residual $match
+        return this.convertNested(context, false, () => this.convertElemMatchCondition(field, condition, context));
+    }
+
+    /**
+     * Convert the condition of an $elemMatch (see convertElemMatch)
+     * @param {string} field - Array field name
+     * @param {Object} condition - $elemMatch condition
+     * @param {ConversionContext} context - Conversion context
+     * @returns {Array} - Array of Atlas Search clauses
+     */
+    convertElemMatchCondition(field, condition, context) {
+        if (this.isOperatorObject(condition)) {
+            // Scalar array form: { scores: { $elemMatch: { $gte: 80, $lt: 85 } } }
+            const clauses = this.convertFieldOperators(field, condition, context);
+
+            // A single range clause is evaluated per value, so merged bounds keep element semantics
+            if (clauses.length > 1 && clauses.every(clause => clause.range)) {
+                const merged = this.mergeRangeClauses(clauses);
+                if (merged) {
+                    return [merged];
+                }
+            }
+
+            if (clauses.length > 1) {
+                return this.approximate(context, { [field]: { $elemMatch: condition } }, [{
+                    compound: {
+                        must: clauses
+                    }
+                }], {
+                    code: 'ELEM_MATCH_SCALAR_CONDITIONS',
+                    superset: true,
+                    message: `Warning: $elemMatch on scalar array '${field}' cannot require all conditions on the same element. Query may return additional results.`
+                });
+            }
+
+            return clauses;
+        }
+
+        // Document array form: inner fields are relative to the array path
+        const fieldPrefix = context.fieldPrefix;
+        context.fieldPrefix = field;
+        let innerClauses;
+        try {
+            innerClauses = this.convertQuery(condition, context);
+        } finally {
+            context.fieldPrefix = fieldPrefix;
+        }
+
+        if (innerClauses.length === 0) {
+            return [{
+                exists: { path: field }
+            }];
+        }
+
+        const operator = innerClauses.length === 1 ? innerClauses[0] : {
+            compound: {
+                must: innerClauses
+            }
+        };
+
+        if (this.allEmbeddedDocuments || this.embeddedDocumentPaths.has(field)) {
+            return [{
+                embeddedDocument: {
+                    path: field,
+                    operator: operator
+                }
+            }];
+        }
+
+        // Without an embeddedDocuments mapping the conditions can match different array elements
+        if (innerClauses.length > 1 || Object.keys(condition).some(key => key.startsWith('$'))) {
+            return this.approximate(context, { [field]: { $elemMatch: condition } }, [operator], {
+                code: 'ELEM_MATCH_NOT_EMBEDDED',
+                superset: true,
+                message: `Warning: '${field}' is not mapped as embeddedDocuments; $elemMatch conditions may match different array elements. Query may return additional results.`
+            });
+        }
+
+        return [operator];
+    }
+
+    /**
+     * Check whether an object is made only of field operators ($gt, $in, ...)
+     * @param {Object} value - Object to check
+     * @returns {boolean} - True if every key is a non-logical operator
+     */
+    isOperatorObject(value) {
+        const keys = Object.keys(value);
+        return keys.length > 0 && keys.every(key => key.startsWith('$') && !['$and', '$or', '$nor'].includes(key));
+    }
+
+    /**
+     * Merge range clauses on the same path into a single range clause
+     * @param {Array} clauses - Range clauses
+     * @returns {Object|null} - Merged range clause or null if the bounds conflict
+     */
+    mergeRangeClauses(clauses) {
+        const range = {};
+
+        for (const clause of clauses) {
+            const { path, ...bounds } = clause.range;
+
+            if (range.path !== undefined && range.path !== path) {
+                return null;
+            }
+            range.path = path;
+
+            for (const [bound, value] of Object.entries(bounds)) {
+                const side = bound.startsWith('g') ? ['gt', 'gte'] : ['lt', 'lte'];
+                if (side.some(existing => existing in range)) {
+                    return null;
+                }
+                range[bound] = value;
+            }
+        }
+
+        return { range };
+    }
+
+    /**
+     * Simplify a converted operator without changing the documents it matches
+     * Nested must compounds are flattened into their parent (negations become mustNot of
+     * the parent), nested $or alternatives into the parent should, identical clauses are
+     * removed, range bounds on the same scalarPaths path in a conjunction are merged,
+     * match-all anchors are dropped next to other clauses, compounds left without clauses
+     * become the match-all anchor and single-clause compounds are unwrapped
+     * @param {Object} clause - Atlas Search operator
+     * @param {Object} matchAll - Clause matching every document in the current scope
+     * @returns {Object} - Simplified operator
+     */
+    optimizeClause(clause, matchAll = { exists: { path: '_id' } }) {
+        if (clause.embeddedDocument) {
+            return {
+                embeddedDocument: {
+                    ...clause.embeddedDocument,
+                    operator: this.optimizeClause(clause.embeddedDocument.operator, { exists: { path: clause.embeddedDocument.path } })
+                }
+            };
+        }
+
+        if (!clause.compound) {
+            return clause;
+        }
+
+        const { must = [], should = [], mustNot = [], filter = [], ...options } = clause.compound;
+        const occurs = { must: [], should: [], mustNot: [], filter: [] };
+        const onlyHas = (child, keys) => child.compound && Object.keys(child.compound).every(key => keys.includes(key));
+        const isAnyOf = child => onlyHas(child, ['should', 'minimumShouldMatch']) && child.compound.minimumShouldMatch === 1;
+
+        for (const child of must.map(child => this.optimizeClause(child, matchAll))) {
+            if (onlyHas(child, ['must', 'filter', 'mustNot'])) {
+                // Conjunction inside a conjunction
+                occurs.must.push(...(child.compound.must || []));
+                occurs.filter.push(...(child.compound.filter || []));
+                occurs.mustNot.push(...(child.compound.mustNot || []));
+            } else {
+                occurs.must.push(child);
+            }
+        }
+
+        for (const child of filter.map(child => this.optimizeClause(child, matchAll))) {
+            if (onlyHas(child, ['must', 'filter', 'mustNot'])) {
+                occurs.filter.push(...(child.compound.must || []), ...(child.compound.filter || []));
+                occurs.mustNot.push(...(child.compound.mustNot || []));
+            } else {
+                occurs.filter.push(child);
+            }
         }
 
-        if (typeof value === 'object' && value !== null && !Array.isArray(value) && !(value instanceof Date) && !(value instanceof RegExp)) {
-            // Query operators
-            return this.convertFieldOperators(field, value);
+        for (const child of should.map(child => this.optimizeClause(child, matchAll))) {
+            // Any of (any of a, b) is any of a, b
+            if (options.minimumShouldMatch === 1 && isAnyOf(child)) {
+                occurs.should.push(...child.compound.should);
+            } else {
+                occurs.should.push(child);
+            }
         }
 
-        if (Array.isArray(value)) {
-            // Array value - this is exact array matching, not $in
-            // Note: Exact array matching is complex in Atlas Search
-            // Atlas Search equals operator doesn't support arrays as values
-            
-            if (value.length === 0) {
-                // Empty array matching - documents that don't have this field
-                return [{
-                    compound: {
-                        mustNot: [{
-                            exists: { path: field }
-                        }]
-                    }
-                }];
-            } else if (value.length === 1) {
-                // Single element array - just match that element
-                return [{
-                    equals: {
-                        path: field,
-                        value: value[0]
-                    }
-                }];
+        for (const child of mustNot.map(child => this.optimizeClause(child, matchAll))) {
+            // None of (any of a, b) is none of a, b
+            if (isAnyOf(child)) {
+                occurs.mustNot.push(...child.compound.should);
             } else {
-                // Multiple element array - this is imperfect in Atlas Search
-                // We'll require ALL elements to be present (but may match more)
-                console.warn(`Warning: Exact array matching for multi-element arrays is not perfectly supported in Atlas Search. Query may return additional results.`);
-                
-                const elementQueries = value.map(element => ({
-                    equals: {
-                        path: field,
-                        value: element
-                    }
-                }));
-                
-                return [{
-                    compound: {
-                        must: elementQueries
-                    }
-                }];
+                occurs.mustNot.push(child);
             }
         }
 
-        // Simple equality
-        return [{
-            equals: {
-                path: field,
-                value: value
+        for (const occur of ['must', 'filter', 'mustNot']) {
+            occurs[occur] = this.dedupeClauses(occurs[occur]);
+        }
+        if (!(options.minimumShouldMatch > 1)) {
+            // Duplicates count twice towards a higher minimumShouldMatch
+            occurs.should = this.dedupeClauses(occurs.should);
+        }
+        occurs.must = this.mergeConjunctRanges(occurs.must);
+        occurs.filter = this.mergeConjunctRanges(occurs.filter);
+
+        // The match-all anchor of a negation is redundant next to any other required clause
+        const isMatchAll = child => child.exists && child.exists.path === matchAll.exists.path && Object.keys(child.exists).length === 1;
+        const required = [...occurs.must, ...occurs.filter].filter(child => !isMatchAll(child)).length;
+        if (required > 0 || (occurs.should.length > 0 && options.minimumShouldMatch >= 1)) {
+            occurs.must = occurs.must.filter(child => !isMatchAll(child));
+            occurs.filter = occurs.filter.filter(child => !isMatchAll(child));
+        }
+
+        const positive = [...occurs.must, ...occurs.filter, ...occurs.should];
+        const extraOptions = Object.keys(options).filter(key => key !== 'minimumShouldMatch');
+        if (positive.length === 1 && occurs.mustNot.length === 0 && extraOptions.length === 0 &&
+            (occurs.should.length === 0 || options.minimumShouldMatch === 1)) {
+            return positive[0];
+        }
+
+        const compound = {};
+        for (const occur of ['must', 'filter', 'should', 'mustNot']) {
+            if (occurs[occur].length > 0) {
+                compound[occur] = occurs[occur];
             }
-        }];
+        }
+        if (Object.keys(compound).length === 0) {
+            // Every clause was left to the residual $match (or there were none), so nothing
+            // is required here; an empty compound isn't a valid operator
+            return matchAll;
+        }
+        for (const [key, value] of Object.entries(options)) {
+            if (key !== 'minimumShouldMatch' || compound.should) {
+                compound[key] = value;
+            }
+        }
+
+        return { compound };
     }
 
     /**
-     * Convert field operators ($eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists, $regex, etc.)
-     * @param {string} field - Field name
-     * @param {Object} operators - Operators object
-     * @returns {Array} - Array of Atlas Search clauses
+     * Move the conjuncts that don't need to score from compound.must to compound.filter
+     * Filters skip relevance scoring, which is cheaper; should ($or) and mustNot are kept.
+     * With the 'must' policy every conjunct scores; with { fields, text } clauses on the
+     * listed fields, and text operators when text is true, stay in must
+     * @param {Object} clause - Atlas Search operator
+     * @param {string|Object} scoring - Scoring policy: 'filter', 'must' or { fields: Array<string>, text: boolean }
+     * @returns {Object} - Operator with non-scoring conjuncts in filter
      */
-    convertFieldOperators(field, operators) {
-        const clauses = [];
-        let regexHandled = false;
+    applyScoringPolicy(clause, scoring) {
+        if (scoring === 'must') {
+            return clause;
+        }
 
-        for (const [operator, value] of Object.entries(operators)) {
-            switch (operator) {
-                case '$eq':
-                    clauses.push({
-                        equals: {
-                            path: field,
-                            value: value
-                        }
-                    });
-                    break;
+        if (clause.embeddedDocument) {
+            return {
+                embeddedDocument: {
+                    ...clause.embeddedDocument,
+                    operator: this.applyScoringPolicy(clause.embeddedDocument.operator, scoring)
+                }
+            };
+        }
 
-                case '$ne':
-                    clauses.push({
-                        compound: {
-                            mustNot: [{
-                                equals: {
-                                    path: field,
-                                    value: value
-                                }
-                            }]
-                        }
-                    });
-                    break;
+        if (!clause.compound) {
+            return clause;
+        }
 
-                case '$gt':
-                    clauses.push({
-                        range: {
-                            path: field,
-                            gt: value
-                        }
-                    });
-                    break;
+        const { must = [], should = [], mustNot = [], filter = [], ...options } = clause.compound;
+        const scoredMust = must.map(child => this.applyScoringPolicy(child, scoring));
+        const occurs = {
+            must: scoredMust.filter(child => this.isScoringClause(child, scoring)),
+            filter: [...filter, ...scoredMust.filter(child => !this.isScoringClause(child, scoring))],
+            should: should.map(child => this.applyScoringPolicy(child, scoring)),
+            mustNot: mustNot.map(child => this.applyScoringPolicy(child, scoring))
+        };
 
-                case '$gte':
-                    clauses.push({
-                        range: {
-                            path: field,
-                            gte: value
-                        }
-                    });
-                    break;
+        const compound = {};
+        for (const occur of ['must', 'filter', 'should', 'mustNot']) {
+            if (occurs[occur].length > 0) {
+                compound[occur] = occurs[occur];
+            }
+        }
 
-                case '$lt':
-                    clauses.push({
-                        range: {
-                            path: field,
-                            lt: value
-                        }
-                    });
-                    break;
+        return { compound: { ...compound, ...options } };
+    }
 
-                case '$lte':
-                    clauses.push({
-                        range: {
-                            path: field,
-                            lte: value
-                        }
-                    });
-                    break;
+    /**
+     * Check whether a clause contributes to the score under a scoring policy
+     * A compound scores when it keeps must clauses or any should clause scores; near
+     * always scores, since its score gives the distance order of $near
+     * @param {Object} clause - Atlas Search operator, after applyScoringPolicy()
+     * @param {string|Object} scoring - Scoring policy (see applyScoringPolicy)
+     * @returns {boolean} - True if the clause should stay in must
+     */
+    isScoringClause(clause, scoring) {
+        if (clause.near) {
+            return true;
+        }
 
-                case '$in':
-                    clauses.push({
-                        in: {
-                            path: field,
-                            value: value
-                        }
-                    });
-                    break;
+        if (typeof scoring !== 'object' || scoring === null) {
+            return false;
+        }
 
-                case '$nin':
-                    clauses.push({
-                        compound: {
-                            mustNot: [{
-                                in: {
-                                    path: field,
-                                    value: value
-                                }
-                            }]
-                        }
-                    });
-                    break;
+        if (clause.compound) {
+            return Boolean(clause.compound.must) ||
+                (clause.compound.should || []).some(child => this.isScoringClause(child, scoring));
+        }
 
-                case '$exists':
-                    if (value) {
-                        clauses.push({
-                            exists: {
-                                path: field
-                            }
-                        });
-                    } else {
-                        clauses.push({
-                            compound: {
-                                mustNot: [{
-                                    exists: {
-                                        path: field
-                                    }
-                                }]
-                            }
-                        });
-                    }
-                    break;
+        if (clause.embeddedDocument) {
+            return this.isScoringClause(clause.embeddedDocument.operator, scoring);
+        }
 
-                case '$regex':
-                    // Handle regex using Atlas Search regex operator for better equivalence
-                    // Only process once, even if $options is also present
-                    if (!regexHandled) {
-                        const regexValue = value;
-                        const options = operators.$options || '';
-                        
-                        // Use Atlas Search regex operator for much better MQL equivalence
-                        if (typeof regexValue === 'string') {
-                            const regexClause = {
-                                regex: {
-                                    query: regexValue,
-                                    path: field
-                                }
-                            };
-                            
-                            // Add options if specified
-                            if (options) {
-                                regexClause.regex.options = options;
-                            }
-                            
-                            clauses.push(regexClause);
-                        }
-                        regexHandled = true;
-                    }
-                    break;
+        const [name, spec] = Object.entries(clause)[0];
+        const textOperators = ['text', 'phrase', 'autocomplete', 'regex', 'wildcard'];
+        if (scoring.text && textOperators.includes(name)) {
+            return true;
+        }
 
-                case '$options':
-                    // Skip $options as it's handled together with $regex
-                    break;
+        // multi paths ({ value, multi }) score as the field they belong to
+        const paths = [].concat(spec.path || []).map(path => path.value || path);
+        return paths.some(path => (scoring.fields || []).includes(path));
+    }
 
-                case '$not':
-                    // Handle $not operator
-                    const notClauses = this.convertFieldOperators(field, value);
-                    clauses.push({
-                        compound: {
-                            mustNot: notClauses
-                        }
-                    });
-                    break;
+    /**
+     * Remove clauses identical to an earlier clause
+     * @param {Array} clauses - Atlas Search operators
+     * @returns {Array} - Clauses without duplicates
+     */
+    dedupeClauses(clauses) {
+        const seen = new Set();
+        return clauses.filter(clause => {
+            // Tag non-plain values (Date, ObjectId, ...) so they don't collide with their JSON string
+            const key = JSON.stringify(clause, function (name, value) {
+                const raw = this[name];
+                return raw !== null && typeof raw === 'object' && !Array.isArray(raw) &&
+                    Object.getPrototypeOf(raw) !== Object.prototype ? { [raw.constructor.name]: value } : value;
+            });
+            if (seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+    }
 
-                default:
-                    console.warn(`Unsupported operator: ${operator} - skipping`);
+    /**
+     * Merge the range clauses of a conjunction that bound the same scalar path
+     * One range must be met by a single array element, while MQL also matches arrays where
+     * different elements meet each bound, so only paths in scalarPaths are merged. Bounds
+     * that can't be combined (e.g. both gt and gte) are kept as separate clauses
+     * @param {Array} clauses - Clauses that must all match
+     * @returns {Array} - Clauses with one range per scalar path where possible
+     */
+    mergeConjunctRanges(clauses) {
+        const ranges = new Map();
+        for (const clause of clauses) {
+            if (clause.range && this.scalarPaths.has(clause.range.path)) {
+                ranges.set(clause.range.path, [...(ranges.get(clause.range.path) || []), clause]);
             }
         }
 
-        return clauses;
+        const result = [];
+        for (const clause of clauses) {
+            const group = clause.range ? ranges.get(clause.range.path) : null;
+            if (!group || group.length === 1) {
+                result.push(clause);
+                continue;
+            }
+
+            const merged = this.mergeRangeClauses(group);
+            if (!merged) {
+                result.push(clause);
+            } else if (group[0] === clause) {
+                result.push(merged);
+            }
+        }
+        return result;
     }
 
     /**
@@ -633,11 +3342,380 @@ class MQLToAtlasSearchConverter {
             }
         };
     }
+
+    /**
+     * Generate a minimal static index definition for a corpus of queries
+     * Each query is converted and every path its $search stages use is mapped with the
+     * type its operators need: token for strings compared with equals, in, range or
+     * sort, string with a lucene.keyword multi sub-field for regex, number, date, boolean
+     * and objectId for other values, geo
+     * (with indexShapes for $geoIntersects) for geo operators, and embeddedDocuments for
+     * $elemMatch document arrays
+     * @param {Array} queries - MQL find filters (objects) and aggregation pipelines (arrays)
+     * @returns {Object} - { definition: { mappings }, conflicts: [{ path, message, queries }] }
+     */
+    generateIndexDefinition(queries) {
+        // A converter without mappings emits the plain operators, and embeddedDocument for every $elemMatch
+        const converter = new MQLToAtlasSearchConverter(this.indexName, { embeddedDocumentPaths: true, textPaths: this.textPaths });
+        const usage = new Map();
+        const conflicts = [];
+
+        queries.forEach((query, index) => {
+            let uses;
+            try {
+                uses = this.collectQueryFieldUses(converter, query);
+            } catch (error) {
+                conflicts.push({ path: error.path || null, message: error.message, queries: [index] });
+                return;
+            }
+
+            for (const use of uses) {
+                if (!usage.has(use.path)) {
+                    usage.set(use.path, { types: new Set(), sorted: false, embedded: false, shapes: false, keyword: false, embeddedPaths: new Set(), queries: new Set() });
+                }
+
+                const entry = usage.get(use.path);
+                if (use.operator === 'sort') {
+                    entry.sorted = true;
+                } else if (use.operator === 'embeddedDocument') {
+                    entry.embedded = true;
+                } else if (use.type) {
+                    entry.types.add(use.type);
+                }
+                if (use.operator === 'geoShape') {
+                    entry.shapes = true;
+                }
+                if (use.operator === 'regex' || use.operator === 'wildcard') {
+                    entry.keyword = true;
+                }
+                entry.embeddedPaths.add(use.embeddedPath);
+                entry.queries.add(index);
+            }
+        });
+
+        return {
+            definition: { mappings: this.buildIndexMappings(usage, conflicts) },
+            conflicts
+        };
+    }
+
+    /**
+     * Convert a find filter or pipeline and list the field uses of its $search and
+     * $searchMeta stages
+     * @param {MQLToAtlasSearchConverter} converter - Converter to convert the query with
+     * @param {Object|Array} query - MQL find filter (object) or aggregation pipeline (array)
+     * @param {ConversionContext} context - Context to convert with; its warnings are kept for the caller
+     * @returns {Array<Object>} - Field uses (see collectFieldUses)
+     * @throws {ConversionError} - When the query can't be converted
+     */
+    collectQueryFieldUses(converter, query, context = converter.createContext({ report: true })) {
+        const stages = Array.isArray(query)
+            ? converter.convertAggregationPipeline(query, context)
+            : converter.convertFindQuery(query, context);
+
+        return stages.flatMap(stage => {
+            if (stage.$search) {
+                return this.collectFieldUses(stage.$search);
+            }
+            if (stage.$searchMeta) {
+                // count only sets the counting mode
+                const { count, ...operator } = stage.$searchMeta;
+                return this.collectFieldUses(operator);
+            }
+            return [];
+        });
+    }
+
+    /**
+     * List the paths an Atlas Search operator uses and the index type each use needs
+     * Types are token for strings compared with equals, in or range, string for regex,
+     * phrase and text, geo for geo operators, the value type for other values, and null
+     * when any type works
+     * @param {Object} operator - Atlas Search operator, or the $search stage
+     * @param {string|null} embeddedPath - Enclosing embeddedDocument path
+     * @returns {Array<Object>} - Field uses: { operator, path, type, embeddedPath }
+     */
+    collectFieldUses(operator, embeddedPath = null) {
+        const uses = [];
+        // multi paths ({ value, multi }) are reported as the field they belong to
+        const use = (name, path, type = null) => uses.push({ operator: name, path: path.value || path, type, embeddedPath });
+        const valueType = value => {
+            const kind = this.getValueKind(value);
+            return kind === 'string' ? 'token' : (kind === 'null' || kind === 'other' ? null : kind);
+        };
+
+        for (const [name, spec] of Object.entries(operator)) {
+            switch (name) {
+                case 'equals':
+                    use(name, spec.path, valueType(spec.value));
+                    break;
+
+                case 'range':
+                    for (const bound of ['gt', 'gte', 'lt', 'lte'].filter(bound => bound in spec)) {
+                        use(name, spec.path, valueType(spec[bound]));
+                    }
+                    break;
+
+                case 'in':
+                    for (const value of [].concat(spec.value)) {
+                        use(name, spec.path, valueType(value));
+                    }
+                    break;
+
+                case 'exists':
+                    // _id is always indexed; exists on _id is the match-all anchor
+                    if (spec.path !== '_id') {
+                        use(name, spec.path);
+                    }
+                    break;
+
+                case 'regex':
+                case 'wildcard':
+                case 'phrase':
+                case 'text':
+                    // Wildcard paths ($text on every field) don't name a field to map
+                    for (const path of [].concat(spec.path).filter(path => !path.wildcard)) {
+                        use(name, path, 'string');
+                    }
+                    break;
+
+                case 'autocomplete':
+                    use(name, spec.path, 'autocomplete');
+                    break;
+
+                case 'geoWithin':
+                case 'geoShape':
+                case 'near':
+                    use(name, spec.path, 'geo');
+                    break;
+
+                case 'sort':
+                    // { $meta: 'searchScore' } sorts by relevance, not by a field
+                    for (const field of Object.keys(spec).filter(field => !spec[field].$meta)) {
+                        use(name, field);
+                    }
+                    break;
+
+                case 'compound':
+                    for (const occur of ['must', 'should', 'mustNot', 'filter']) {
+                        for (const clause of spec[occur] || []) {
+                            uses.push(...this.collectFieldUses(clause, embeddedPath));
+                        }
+                    }
+                    break;
+
+                case 'embeddedDocument':
+                    use(name, spec.path, 'embeddedDocuments');
+                    uses.push(...this.collectFieldUses(spec.operator, spec.path));
+                    break;
+            }
+        }
+
+        return uses;
+    }
+
+    /**
+     * Build static index mappings from path usage (see generateIndexDefinition)
+     * @param {Map} usage - Usage per path
+     * @param {Array} conflicts - Conflicts found so far; new ones are appended
+     * @returns {Object} - Index mappings ({ dynamic: false, fields })
+     */
+    buildIndexMappings(usage, conflicts) {
+        const mappings = { dynamic: false, fields: {} };
+        const embeddedPaths = [...usage.keys()].filter(path => usage.get(path).embedded);
+        const conflict = (path, entry, message) => conflicts.push({ path, message, queries: [...entry.queries] });
+
+        for (const path of [...usage.keys()].sort()) {
+            const entry = usage.get(path);
+            const types = [...entry.types];
+            const children = [...usage.keys()].filter(other => other.startsWith(`${path}.`));
+
+            // Paths under an embeddedDocuments path are only reachable through embeddedDocument
+            const owner = embeddedPaths.filter(embedded => path.startsWith(`${embedded}.`)).pop();
+            if (owner && [...entry.embeddedPaths].some(embeddedPath => embeddedPath !== owner)) {
+                conflict(path, entry, `'${path}' is queried both inside and outside $elemMatch on '${owner}'; embeddedDocuments fields can only be queried with $elemMatch`);
+            }
+
+            if (entry.embedded) {
+                if (types.length > 0 || entry.sorted) {
+                    conflict(path, entry, `'${path}' is queried with $elemMatch and also compared or sorted as a value`);
+                }
+                continue;
+            }
+
+            if (children.length > 0) {
+                if (types.length > 0 || entry.sorted) {
+                    conflict(path, entry, `'${path}' is queried both as a value and as a document with sub-fields`);
+                }
+                continue;
+            }
+
+            // Sorting strings needs token; an analyzed string can't be sorted on
+            if (entry.sorted && types.includes('string') && !types.includes('token')) {
+                types.push('token');
+            }
+
+            if (types.length === 0) {
+                conflict(path, entry, `'${path}' is only checked with $exists, null equality or sort, so its type can't be inferred; map it manually`);
+                continue;
+            }
+
+            // geoShape needs the shapes of the documents, not only their points, and regex
+            // the whole value, which a lucene.keyword multi sub-field indexes as one term
+            this.setFieldMapping(mappings, path, embeddedPaths, types.map(type => {
+                if (type === 'geo' && entry.shapes) {
+                    return { type, indexShapes: true };
+                }
+                if (type === 'string' && entry.keyword) {
+                    return { type, multi: { keyword: { type: 'string', analyzer: 'lucene.keyword' } } };
+                }
+                return { type };
+            }));
+        }
+
+        return mappings;
+    }
+
+    /**
+     * Add a field to index mappings, creating the document and embeddedDocuments mappings of its parents
+     * @param {Object} mappings - Index mappings
+     * @param {string} path - Field path
+     * @param {Array<string>} embeddedPaths - Paths to map as embeddedDocuments
+     * @param {Array<Object>} definitions - Field type definitions
+     */
+    setFieldMapping(mappings, path, embeddedPaths, definitions) {
+        const segments = path.split('.');
+        let mapping = mappings;
+        segments.slice(0, -1).forEach((segment, i) => {
+            const parentPath = segments.slice(0, i + 1).join('.');
+            if (!mapping.fields[segment]) {
+                mapping.fields[segment] = {
+                    type: embeddedPaths.includes(parentPath) ? 'embeddedDocuments' : 'document',
+                    fields: {}
+                };
+            }
+            mapping = mapping.fields[segment];
+        });
+
+        mapping.fields[segments[segments.length - 1]] = definitions.length === 1 ? definitions[0] : definitions;
+    }
+
+    /**
+     * Check the clauses generated for a corpus of queries against an index definition
+     * Queries are converted with the definition, as a converter given it as indexDefinition
+     * would, and each field use is checked against the mapping of its path. Mapping errors
+     * are reported for every path, and conversion warnings (e.g. a sort left to a $sort stage)
+     * as warnings, or errors when they can drop matching documents or leave a sort to $sort
+     * @param {Array} queries - MQL find filters (objects) and aggregation pipelines (arrays)
+     * @param {Object} indexDefinition - Atlas Search index definition ({ mappings })
+     * @returns {Array<Object>} - One result per field use: { query, operator, path, status, message },
+     *                            where status is 'ok', 'warning' or 'error'
+     * @throws {InvalidQueryError} - When the definition has no mappings
+     */
+    validateQueries(queries, indexDefinition) {
+        if (!indexDefinition || !indexDefinition.mappings) {
+            throw new InvalidQueryError('Index definition must have mappings', 'INVALID_ARGUMENT', '$');
+        }
+
+        // Convert with the mappings, so the clauses checked are the ones the index-aware converter runs
+        const converter = new MQLToAtlasSearchConverter(this.indexName, {
+            indexDefinition,
+            lowercaseFields: this.lowercaseFields,
+            embeddedDocumentPaths: [...this.embeddedDocumentPaths],
+            scalarPaths: [...this.scalarPaths],
+            rewriteRegex: this.rewriteRegex,
+            textPaths: this.textPaths
+        });
+        const results = [];
+
+        queries.forEach((query, index) => {
+            const context = converter.createContext({ report: true, collectMappingErrors: true });
+            let uses;
+            try {
+                uses = this.collectQueryFieldUses(converter, query, context);
+            } catch (error) {
+                results.push({ query: index, operator: null, path: error.path || null, status: 'error', message: error.message });
+                return;
+            }
+
+            for (const { error } of context.mappingErrors) {
+                results.push({ query: index, operator: null, path: error.path, status: 'error', message: error.message });
+            }
+
+            // in and range record one use per value; report each distinct use once, and
+            // none for paths whose mapping error is already reported
+            const failedFields = new Set(context.mappingErrors.map(({ field }) => field));
+            const distinct = new Map(uses
+                .filter(use => !failedFields.has(use.path))
+                .map(use => [JSON.stringify([use.operator, use.path, use.type]), use]));
+            for (const use of distinct.values()) {
+                const { status, message } = converter.checkFieldUse(use);
+                results.push({ query: index, operator: use.operator, path: use.path, status, message });
+            }
+
+            const failedPaths = new Set(context.mappingErrors.map(({ error }) => error.path));
+            for (const warning of context.warnings.filter(warning => !failedPaths.has(warning.path))) {
+                const status = warning.code === 'UNSORTABLE_FIELD' || warning.fidelity === 'subset' ? 'error' : 'warning';
+                results.push({ query: index, operator: null, path: warning.path, status, message: warning.message });
+            }
+        });
+
+        return results;
+    }
+
+    /**
+     * Check that the index mapping of a path supports one field use (see validateQueries)
+     * @param {Object} use - Field use from collectFieldUses()
+     * @returns {Object} - { status, message }
+     */
+    checkFieldUse({ operator, path, type }) {
+        const mapping = this.getFieldMapping(path);
+        const sortableTypes = ['token', 'number', 'date', 'boolean', 'objectId', 'uuid'];
+
+        if (!mapping.indexed) {
+            return { status: 'error', message: `'${path}' is not indexed` };
+        }
+
+        if (mapping.dynamic) {
+            if (type === 'token' || type === 'embeddedDocuments' || type === 'autocomplete' || type === 'geo') {
+                return { status: 'error', message: `'${path}' is only mapped dynamically, which doesn't index ${type}; ${operator} needs an explicit ${type} mapping` };
+            }
+            if (operator === 'sort') {
+                return { status: 'warning', message: `'${path}' is only mapped dynamically; sort works for numbers and dates but not for strings, which need token` };
+            }
+            return { status: 'ok', message: `'${path}' is mapped dynamically` };
+        }
+
+        const mapped = mapping.types.map(definition => definition.type);
+        const describe = `'${path}' is mapped as ${mapped.join(', ')}`;
+        if (operator === 'sort') {
+            return mapped.some(mappedType => sortableTypes.includes(mappedType))
+                ? { status: 'ok', message: describe }
+                : { status: 'error', message: `${describe}, which can't be sorted on` };
+        }
+
+        if (type && !mapped.includes(type)) {
+            return { status: 'error', message: `${describe}; ${operator} needs ${type}` };
+        }
+
+        if (operator === 'geoShape' && !mapping.types.some(definition => definition.type === 'geo' && definition.indexShapes)) {
+            return { status: 'error', message: `${describe}; geoShape needs indexShapes: true` };
+        }
+
+        return { status: 'ok', message: describe };
+    }
 }
 
 // Export for use
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = MQLToAtlasSearchConverter;
+    module.exports.ConversionContext = ConversionContext;
+    module.exports.ConversionError = ConversionError;
+    module.exports.UnsupportedOperatorError = UnsupportedOperatorError;
+    module.exports.LossyConversionError = LossyConversionError;
+    module.exports.UnsupportedSortError = UnsupportedSortError;
+    module.exports.InvalidQueryError = InvalidQueryError;
+    module.exports.IndexMappingError = IndexMappingError;
 }
 
 // Example usage in mongosh:
@@ -671,7 +3749,7 @@ if (typeof module !== 'undefined' && module.exports) {
 //     { $match: { status: 'published' } },
 //     { $sort: { publishDate: -1 } },
 //     { $limit: 100 },
-//     { $match: { featured: true } },  // This becomes a separate $search stage
+//     { $match: { featured: true } },  // Stays a $match stage: $search must come first
 //     { $project: { title: 1, publishDate: 1 } }
 // ];
 // const searchPipeline = converter.convertAggregationPipeline(complexPipeline);
@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 
 /**
- * Complete Real MongoDB Test Runner with All 42 Tests + Environment Variable Support
+ * Complete Real MongoDB Test Runner with All 107 Tests + Environment Variable Support
  * 
  * Usage:
  * MONGODB_CONNECTION_STRING="mongodb+srv://..." npm run test:real-mongodb-complete
@@ -83,7 +83,7 @@ function colorLog(color, message) {
     console.log(`${colors[color]}${message}${colors.reset}`);
 }
 
-console.log('🧪 Complete Real MongoDB MQL vs Atlas Search Tests (All 42 Tests)');
+console.log('🧪 Complete Real MongoDB MQL vs Atlas Search Tests (All 107 Tests)');
 console.log('='.repeat(75));
 
 // Show configuration being used
@@ -116,8 +116,14 @@ try {
     process.exit(1);
 }
 
-// Initialize converter
-const converter = new MQLToAtlasSearchConverter(config.searchIndex);
+// Initialize converter with the test index definition so operators match the field mappings
+const converter = new MQLToAtlasSearchConverter(config.searchIndex, {
+    indexDefinition: require('./search-index-definition.js'),
+    // age never holds an array, so its range bounds can be merged into one range
+    scalarPaths: ['age'],
+    // Same fields as the text index created by setup-test-data.js
+    textPaths: ['title', 'content']
+});
 
 // Enhanced MongoDB Client
 class CompleteRealMongoDBClient {
@@ -265,36 +271,31 @@ class CompleteRealIntegrationTestRunner {
                     this.failed++;
                     return;
                 } catch (error) {
+                    // expectError may name the ConversionError subclass that must be thrown
+                    if (typeof options.expectError === 'string' && error.name !== options.expectError) {
+                        colorLog('red', `❌ Test failed - Expected ${options.expectError} but got ${error.name}: ${error.message}`);
+                        this.failed++;
+                        return;
+                    }
                     colorLog('green', '✅ Test passed - Expected error occurred: ' + error.message);
                     this.passed++;
                     return;
                 }
             }
 
-            // Handle warning expectation tests
+            // Handle warning expectation tests (read from the conversion report)
             if (options.expectWarning) {
-                const originalWarn = console.warn;
-                let warningCaptured = false;
-                let warningMessage = '';
-                console.warn = (msg) => {
-                    warningCaptured = true;
-                    warningMessage = msg;
-                    originalWarn(msg);
-                };
+                const { result: atlasSearchPipeline, report } = converter.convertFindQuery(mqlQuery, { ...options, report: true });
+                await this.mongoClient.runAtlasSearchQuery(atlasSearchPipeline);
                 
-                try {
-                    const atlasSearchPipeline = converter.convertFindQuery(mqlQuery, options);
-                    const atlasSearchResults = await this.mongoClient.runAtlasSearchQuery(atlasSearchPipeline);
-                    
-                    if (warningCaptured && warningMessage.includes('Unsupported operator')) {
-                        colorLog('green', '✅ Test passed - Warning logged and handled gracefully');
-                        this.passed++;
-                    } else {
-                        colorLog('red', '❌ Test failed - Expected warning not captured');
-                        this.failed++;
-                    }
-                } finally {
-                    console.warn = originalWarn;
+                const warning = report.warnings.find(w => w.code === options.expectWarning);
+                if (warning) {
+                    colorLog('green', `✅ Test passed - Warning ${warning.code} reported at ${warning.path} (fidelity: ${warning.fidelity})`);
+                    this.passed++;
+                } else {
+                    colorLog('red', `❌ Test failed - Expected warning ${options.expectWarning} not reported`);
+                    console.log('Report:', JSON.stringify(report, null, 2));
+                    this.failed++;
                 }
                 return;
             }
@@ -632,7 +633,7 @@ class CompleteRealIntegrationTestRunner {
 const testRunner = new CompleteRealIntegrationTestRunner();
 
 // =============================================================================
-// ALL 42 TEST CASES - COMPLETE SET
+// ALL 107 TEST CASES - COMPLETE SET
 // =============================================================================
 
 // 1-5: Basic Equality Tests
@@ -713,7 +714,7 @@ testRunner.test('Single field in compound must', { status: 'active' });
 
 // 37-38: Error Handling
 testRunner.test('Unsupported logical operator throws error', { $invalidOp: [{ status: 'active' }] }, { expectError: true });
-testRunner.test('Unsupported field operator logs warning', { field: { $invalidFieldOp: 'value' } }, { expectWarning: true });
+testRunner.test('Unsupported field operator reports warning', { field: { $invalidFieldOp: 'value' } }, { expectWarning: 'UNSUPPORTED_OPERATOR' });
 
 // 39-40: Custom Index Name
 testRunner.test('Custom index name', { status: 'active' });
@@ -731,6 +732,124 @@ testRunner.test('README example: Array membership and existence', {
     deletedAt: { $exists: false }
 });
 
+// 43-44: $elemMatch Tests
+testRunner.test('$elemMatch on array of subdocuments', { lineItems: { $elemMatch: { sku: 'A1', qty: { $gte: 5 } } } });
+testRunner.test('$elemMatch on scalar array', { readings: { $elemMatch: { $gte: 80, $lt: 85 } } });
+
+// 45-46: $all Tests
+testRunner.test('$all operator', { tags: { $all: ['mongodb', 'atlas'] } });
+testRunner.test('$all with $elemMatch elements', {
+    lineItems: { $all: [{ $elemMatch: { sku: 'A1', qty: { $gte: 5 } } }, { $elemMatch: { sku: 'B2' } }] }
+});
+
+// 47-51: $type, $size and $mod Tests (residual $match keeps results exact)
+testRunner.test('$type null', { measure: { $type: 'null' } });
+testRunner.test('$type int (range plus residual $match)', { measure: { $type: 'int' } });
+testRunner.test('$type string (residual $match)', { measure: { $type: 'string' } });
+testRunner.test('$size operator', { tags: { $size: 2 } });
+testRunner.test('$mod operator with convertible sibling', { testType: 'limit_test', sequenceNumber: { $mod: [5, 0] } });
+
+// 52-55: Split Mode Tests (lossy predicates checked by a residual $match)
+testRunner.test('Split mode: multi-element exact array match', { tags: ['mongodb', 'database'] }, { split: true });
+testRunner.test('Split mode: unsupported field operator', { testType: 'string_equality', status: { $invalidFieldOp: 'value' } }, { split: true });
+testRunner.test('Split mode: lossy predicate inside $or', { $or: [{ tags: ['mongodb', 'atlas'] }, { status: 'inactive' }] }, { split: true });
+testRunner.test('Split mode: residual before sort and limit', { testType: 'limit_test', batchId: { $mod: [2, 0] } }, {
+    split: true,
+    sort: { sequenceNumber: -1 },
+    limit: 4
+});
+
+// 56-57: Conversion Report Tests
+testRunner.test('Report: exact array match is a superset', { tags: ['mongodb', 'database'] }, { expectWarning: 'ARRAY_EXACT_MATCH' });
+testRunner.test('Report: complex sort falls back to $sort', { testType: 'sort_test' }, {
+    // Relevance sorts are converted; other $meta sorts are not
+    sort: { price: { $meta: 'randVal' } },
+    expectWarning: 'COMPLEX_SORT'
+});
+
+// 58-62: Strict Mode Tests
+testRunner.test('Strict mode: unsupported field operator', { field: { $invalidFieldOp: 'value' } }, { strict: true, expectError: 'UnsupportedOperatorError' });
+testRunner.test('Strict mode: multi-element exact array match', { tags: ['mongodb', 'database'] }, { strict: true, expectError: 'LossyConversionError' });
+testRunner.test('Strict mode: complex sort value', { status: 'active' }, { strict: true, sort: { price: { $meta: 'randVal' } }, expectError: 'UnsupportedSortError' });
+testRunner.test('Strict mode: $not at top level', { $not: { status: 'active' } }, { strict: true, expectError: 'InvalidQueryError' });
+testRunner.test('Strict mode: split mode keeps exact conversions', { tags: ['mongodb', 'database'] }, { strict: true, split: true });
+
+// 63-67: Index Definition Tests (operators chosen from the field mappings)
+testRunner.test('Index mapping: string field with lucene.keyword multi uses phrase', { name: 'John Smith' });
+testRunner.test('Index mapping: analyzed string field is a superset', { title: 'Advanced Atlas Search' }, { expectWarning: 'ANALYZED_STRING_MATCH' });
+testRunner.test('Index mapping: split mode keeps analyzed string match exact', { title: { $in: ['Advanced Atlas Search', 'Schema Validation'] } }, { split: true });
+testRunner.test('Index mapping: range on analyzed string field throws', { title: { $gte: 'M' } }, { expectError: 'IndexMappingError' });
+testRunner.test('Index mapping: sort on analyzed string field falls back to $sort', { testType: 'mixed_sort_limit' }, {
+    sort: { name: 1 },
+    expectWarning: 'UNSORTABLE_FIELD'
+});
+
+// 68-71: Regex Dialect Tests (PCRE patterns translated to Lucene regex)
+testRunner.test('$regex anchored prefix', { name: { $regex: '^John' } });
+testRunner.test('$regex shorthand class and end anchor', { name: { $regex: '^\\w+ Smith$' } });
+testRunner.test('$regex alternation with anchors', { name: { $regex: '^Alice|Smith$' } });
+testRunner.test('$regex untranslatable pattern (split mode)', { testType: 'regex_test', name: { $regex: '\\bJohn' } }, { split: true });
+
+// 72-73: Case-insensitive Regex Tests (lowercase multi sub-field)
+testRunner.test('$regex with i option and anchor', { name: { $regex: '^ALICE', $options: 'i' } });
+testRunner.test('$regex with i option needs a lowercase sub-field', { title: { $regex: 'mongodb', $options: 'i' } }, { expectError: 'IndexMappingError' });
+
+// 74-76: RegExp Value Tests
+testRunner.test('RegExp literal as field value', { name: /^john/i });
+testRunner.test('RegExp values in $in', { name: { $in: [/^Alice/, 'John Smith'] } });
+testRunner.test('RegExp value in $not', { testType: 'regex_test', name: { $not: /^John/ } });
+
+// 77-78: Regex Rewrite Tests (literal and prefix patterns use cheaper operators)
+testRunner.test('$regex literal on token field rewritten to equals', { status: { $regex: '^active$' } });
+testRunner.test('$regex prefix with rewrite disabled', { name: { $regex: '^John' } }, { rewriteRegex: false });
+
+// 79-83: $ne/$nin Semantics Tests (missing fields, arrays and null)
+testRunner.test('$ne matches missing fields and excludes arrays containing the value', { testType: 'ne_semantics', tags: { $ne: 'legacy' } });
+testRunner.test('$nin matches missing fields and excludes arrays containing a value', { testType: 'ne_semantics', tags: { $nin: ['legacy', 'python'] } });
+testRunner.test('$nin with null excludes missing fields', { testType: 'ne_semantics', rank: { $nin: [1, null] } });
+testRunner.test('$in with null matches missing fields', { testType: 'ne_semantics', rank: { $in: [2, null] } });
+testRunner.test('Negation without other clauses', { rank: { $not: { $gte: 1 } } });
+
+// 84-86: Null Operator Tests ($eq, $ne and $in follow the { field: null } semantics)
+testRunner.test('$eq null matches null and missing fields', { deletedAt: { $eq: null } });
+testRunner.test('$ne null matches existing non-null fields', { deletedAt: { $ne: null } });
+testRunner.test('$in with null and a value', { testType: 'ne_semantics', tags: { $in: [null, 'legacy'] } });
+
+// 87-89: Simplified Output Tests (merged ranges, flattened and deduplicated compounds)
+testRunner.test('Range bounds from nested $and merged', { $and: [{ age: { $gte: 18 } }, { $and: [{ age: { $lt: 65 } }, { status: { $ne: 'deleted' } }] }] });
+testRunner.test('Nested $or flattened', { $or: [{ category: 'electronics' }, { $or: [{ category: 'computers' }, { category: 'electronics' }] }] });
+testRunner.test('Negations combined in one compound', { testType: 'ne_semantics', tags: { $ne: 'legacy' }, rank: { $ne: 2 } });
+
+// 90-92: Scoring Policy Tests (conjuncts in compound.filter unless they score)
+testRunner.test('Conjuncts as filters (default scoring)', { status: 'published', category: 'tech' });
+testRunner.test('Conjuncts scored with scoring: must', { status: 'published', category: 'tech' }, { scoring: 'must' });
+testRunner.test('Scoring field and text predicate', { testType: 'regex_test', name: { $regex: '^John' } }, { scoring: { fields: ['testType'], text: true } });
+
+// 93-96: $expr Tests (field-to-constant comparisons; other expressions go to the residual $match)
+testRunner.test('$expr $gt field-to-constant', { testType: 'sort_test', $expr: { $gt: ['$price', 100] } });
+testRunner.test('$expr $in with constants', { $expr: { $in: ['$status', ['published', 'draft']] } });
+testRunner.test('$expr $lt matches null and missing fields', { testType: 'ne_semantics', $expr: { $lt: ['$rank', 2] } });
+testRunner.test('$expr field-to-field comparison', { testType: 'sort_test', $expr: { $and: [{ $gte: ['$score', 90] }, { $gt: ['$views', '$score'] }] } });
+
+// 97-99: $text Tests (text index on title and content, see setup-test-data.js)
+testRunner.test('$text any of the terms', { $text: { $search: 'espresso tea' } });
+testRunner.test('$text negated term', { $text: { $search: 'coffee -decaf' } });
+testRunner.test('$text phrase with a term', { $text: { $search: '"cold brew" coffee' } });
+
+// 100-105: Geo Tests (points in location, a Central Park shape in area, see setup-test-data.js)
+testRunner.test('$geoWithin $box', { testType: 'geo_test', location: { $geoWithin: { $box: [[-74.00, 40.74], [-73.97, 40.77]] } } });
+testRunner.test('$geoWithin $centerSphere', { testType: 'geo_test', location: { $geoWithin: { $centerSphere: [[-73.9855, 40.7580], 2 / 6378.1] } } });
+testRunner.test('$geoWithin $geometry polygon', { testType: 'geo_test', location: { $geoWithin: { $geometry: { type: 'Polygon', coordinates: [[[-74.02, 40.69], [-73.98, 40.69], [-73.98, 40.75], [-74.02, 40.75], [-74.02, 40.69]]] } } } });
+testRunner.test('$geoIntersects polygon', { testType: 'geo_test', area: { $geoIntersects: { $geometry: { type: 'Polygon', coordinates: [[[-73.99, 40.76], [-73.95, 40.76], [-73.95, 40.78], [-73.99, 40.78], [-73.99, 40.76]]] } } } });
+testRunner.test('$near with $maxDistance', { testType: 'geo_test', location: { $near: { $geometry: { type: 'Point', coordinates: [-73.9855, 40.7580] }, $maxDistance: 2000 } } });
+testRunner.test('$nearSphere legacy point with $minDistance', { testType: 'geo_test', location: { $nearSphere: [-73.9855, 40.7580], $minDistance: 500 / 6378100, $maxDistance: 2000 / 6378100 } });
+
+// 106: $type list mixing exact and narrowed types
+testRunner.test('$type null or int', { measure: { $type: ['null', 'int'] } });
+
+// 107: Range bounds on an array field, met by different elements
+testRunner.test('Range bounds on array not merged', { testType: 'elemmatch_test', readings: { $gte: 80, $lt: 85 } });
+
 // Run the tests if not in simulation mode
 if (!config.useSimulation) {
     testRunner.run().catch(error => {
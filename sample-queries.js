@@ -0,0 +1,24 @@
+/**
+ * Sample query file for generate-search-index.js
+ * Exports MQL find filters (objects) and aggregation pipelines (arrays)
+ */
+module.exports = [
+    // Find filters
+    { status: 'active', age: { $gte: 18, $lt: 65 } },
+    { category: { $in: ['electronics', 'computers'] }, price: { $gt: 100 } },
+    { isActive: true, createdAt: { $gte: new Date('2024-01-01') } },
+    { name: { $regex: '^John' } },
+    { tags: { $all: ['mongodb', 'atlas'] } },
+    { lineItems: { $elemMatch: { sku: 'A1', qty: { $gte: 5 } } } },
+
+    // Aggregation pipelines
+    [
+        { $match: { status: 'published', publishDate: { $gte: new Date('2024-01-01') } } },
+        { $sort: { publishDate: -1 } },
+        { $limit: 10 }
+    ],
+    [
+        { $match: { category: 'electronics' } },
+        { $sort: { name: 1 } }
+    ]
+];
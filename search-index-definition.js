@@ -0,0 +1,149 @@
+/**
+ * Atlas Search index definition for the test suite
+ * Shared by create-search-index-driver.js, which creates the index, and the test
+ * runners, which pass it to the converter so operators match the field mappings
+ */
+module.exports = {
+    mappings: {
+        dynamic: true,
+        fields: {
+            // String fields for exact matching (using token type for equals/in/range)
+            status: {
+                type: "token"
+            },
+            category: {
+                type: "token"
+            },
+            priority: {
+                type: "token"
+            },
+            testType: {
+                type: "token"
+            },
+            
+            // Array of strings (using token for exact matching)
+            tags: {
+                type: "token"
+            },
+            skills: {
+                type: "token"
+            },
+            
+            // Text fields for full-text search (using string type for text search)
+            // name also keeps a lucene.keyword copy for exact matching with phrase,
+            // and a lowercased copy for case-insensitive $regex
+            name: {
+                type: "string",
+                multi: {
+                    keyword: {
+                        type: "string",
+                        analyzer: "lucene.keyword"
+                    },
+                    lowercase: {
+                        type: "string",
+                        analyzer: "lowercaseKeyword"
+                    }
+                }
+            },
+            title: {
+                type: "string"
+            },
+            description: {
+                type: "string"
+            },
+            content: {
+                type: "string"
+            },
+            
+            // Email field (using token for exact matching)
+            email: {
+                type: "token"
+            },
+            
+            // Numeric fields
+            age: {
+                type: "number"
+            },
+            count: {
+                type: "number"
+            },
+            price: {
+                type: "number"
+            },
+            score: {
+                type: "number"
+            },
+            temperature: {
+                type: "number"
+            },
+            
+            // Boolean fields
+            isActive: {
+                type: "boolean"
+            },
+            featured: {
+                type: "boolean"
+            },
+            
+            // Date fields
+            createdAt: {
+                type: "date"
+            },
+            publishDate: {
+                type: "date"
+            },
+            updatedAt: {
+                type: "date"
+            },
+            deletedAt: {
+                type: "date"
+            },
+            
+            // GeoJSON fields; geoShape ($geoIntersects) also needs the indexed shapes
+            location: {
+                type: "geo"
+            },
+            area: {
+                type: "geo",
+                indexShapes: true
+            },
+            
+            // Array of subdocuments (queried with $elemMatch via embeddedDocument)
+            lineItems: {
+                type: "embeddedDocuments",
+                dynamic: false,
+                fields: {
+                    sku: {
+                        type: "token"
+                    },
+                    qty: {
+                        type: "number"
+                    }
+                }
+            },
+            
+            // Autocomplete field example (using built-in autocomplete type)
+            skillsAutocomplete: {
+                type: "autocomplete",
+                tokenization: "edgeGram",
+                minGrams: 2,
+                maxGrams: 15
+            }
+        }
+    },
+    
+    // Whole value as one lowercased term, for case-insensitive $regex
+    analyzers: [
+        {
+            name: "lowercaseKeyword",
+            tokenizer: {
+                type: "keyword"
+            },
+            tokenFilters: [
+                {
+                    type: "lowercase"
+                }
+            ]
+        }
+    ]
+};
@@ -67,6 +67,12 @@ const testDocuments = [
     { _id: 'test_nin_neg', status: 'deleted', testType: 'nin_test' },
     { _id: 'test_implicit_in_pos', tags: ['mongodb', 'database'], testType: 'implicit_in' },
     { _id: 'test_implicit_in_neg', tags: ['python', 'web'], testType: 'implicit_in' },
+
+    // $ne/$nin semantics: missing fields match, arrays containing the value don't, null means missing
+    { _id: 'test_ne_array_pos', tags: ['mongodb', 'search'], rank: 2, testType: 'ne_semantics' },
+    { _id: 'test_ne_array_neg', tags: ['mongodb', 'legacy'], rank: 1, testType: 'ne_semantics' },
+    { _id: 'test_ne_missing_pos', testType: 'ne_semantics' }, // No tags or rank field
+    { _id: 'test_ne_null_neg', tags: null, rank: null, testType: 'ne_semantics' },
     
     // Existence tests
     { _id: 'test_exists_true_pos', email: 'user@example.com', testType: 'exists_test' },
@@ -92,6 +98,39 @@ const testDocuments = [
     { _id: 'test_regex_title_pos', title: 'Learning mongodb basics', testType: 'regex_title_test' },
     { _id: 'test_regex_title_neg', title: 'PostgreSQL tutorial', testType: 'regex_title_test' },
     
+    // $text tests (title and content are covered by the text index)
+    { _id: 'test_text_pos1', title: 'Fresh coffee roasts', content: 'Single origin espresso', testType: 'text_test' },
+    { _id: 'test_text_pos2', title: 'Cold brew guide', content: 'Coffee steeped overnight', testType: 'text_test' },
+    { _id: 'test_text_neg1', title: 'Decaf coffee', content: 'Gentle flavor', testType: 'text_test' },
+    { _id: 'test_text_neg2', title: 'Green tea', content: 'Loose leaf', testType: 'text_test' },
+    
+    // Geo tests (location holds points around Times Square, area a shape)
+    { _id: 'test_geo_pos1', location: { type: 'Point', coordinates: [-73.9855, 40.7580] }, testType: 'geo_test' }, // Times Square
+    { _id: 'test_geo_pos2', location: { type: 'Point', coordinates: [-73.9857, 40.7484] }, testType: 'geo_test' }, // Empire State Building
+    { _id: 'test_geo_neg1', location: { type: 'Point', coordinates: [-73.9969, 40.7003] }, testType: 'geo_test' }, // Brooklyn Heights
+    { _id: 'test_geo_neg2', location: { type: 'Point', coordinates: [-71.0589, 42.3601] }, testType: 'geo_test' }, // Boston
+    {
+        _id: 'test_geo_area_pos',
+        area: { type: 'Polygon', coordinates: [[[-73.9819, 40.7681], [-73.9731, 40.7644], [-73.9493, 40.7968], [-73.9580, 40.8006], [-73.9819, 40.7681]]] }, // Central Park
+        testType: 'geo_test'
+    },
+    
+    // $elemMatch tests (lineItems is mapped as embeddedDocuments)
+    { _id: 'test_elemmatch_pos', lineItems: [{ sku: 'A1', qty: 10 }, { sku: 'B2', qty: 1 }], testType: 'elemmatch_test' },
+    { _id: 'test_elemmatch_neg', lineItems: [{ sku: 'A1', qty: 1 }, { sku: 'B2', qty: 10 }], testType: 'elemmatch_test' },
+    { _id: 'test_elemmatch_scalar_pos', readings: [70, 82, 95], testType: 'elemmatch_test' },
+    { _id: 'test_elemmatch_scalar_neg', readings: [70, 95], testType: 'elemmatch_test' },
+    
+    // $all tests
+    { _id: 'test_all_pos', tags: ['mongodb', 'atlas', 'search'], testType: 'all_test' },
+    { _id: 'test_all_neg', tags: ['mongodb', 'search'], testType: 'all_test' },
+    
+    // $type tests (whole numbers are stored as int, fractions as double)
+    { _id: 'test_type_int_pos', measure: 7, testType: 'type_test' },
+    { _id: 'test_type_double_neg', measure: 7.5, testType: 'type_test' },
+    { _id: 'test_type_string_neg', measure: 'seven', testType: 'type_test' },
+    { _id: 'test_type_null_pos', measure: null, testType: 'type_test' },
+    
     // Complex nested tests
     { 
         _id: 'test_complex_pos', 
@@ -205,6 +244,14 @@ async function setupTestData() {
         
         console.log(`✅ Inserted ${result.insertedCount} test documents`);
         
+        // $text queries need a text index to run against MongoDB
+        await collection.createIndex({ title: 'text', content: 'text' }, { name: 'title_content_text' });
+        console.log('✅ Text index on title and content is in place');
+        
+        // $near and $nearSphere need a 2dsphere index
+        await collection.createIndex({ location: '2dsphere' }, { name: 'location_2dsphere' });
+        console.log('✅ 2dsphere index on location is in place');
+        
         // Verify the data
         const count = await collection.countDocuments();
         console.log(`📊 Total documents in collection: ${count}`);